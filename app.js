@@ -1,18 +1,251 @@
+const ACTION_LABELS = { accept: 'Accept', increase: 'Increase', decrease: 'Decrease' };
+
 class OrderingApp {
     constructor() {
         this.pdfParser = new PDFParser();
         this.excelGenerator = new ExcelGenerator();
+        this.sessionStore = new SessionStore();
+        this.templateStore = new TemplateStore();
+        this.packSizeStore = new PackSizeStore();
+        this.packSizes = {}; // Pack size catalog by WRIN, see lib/pack-sizes.js
+        this.opsSupplyStore = new OpsSupplyStore();
+        this.activeTemplate = null; // null = the built-in TEMPLATE_DATA
+        this.sessionId = null;
+        this.sessions = [];
+        this.lastExport = null; // { buffer, fileName, message } of the last xlsx, for sharing again
+        this.walk = null; // { steps, index } while the count walk is open
+        this.selectedWrins = new Set(); // Cards ticked for a bulk action
+        this.history = new DecisionHistory(); // Undo/redo for decisions, saved with the session
+        this.toastTimer = null;
+        this.comparison = null;
+        this.suggestions = {};
+        this.validationRules = VALIDATION_RULES;
+        this.reasonOptions = []; // Filled from the template's own reason list
         this.items = [];
+        this.reportMeta = this.pdfParser.getReportMeta();
+        this.diagnostics = [];
 
         this.state = {
             filter: 'ALL',
             search: '',
             validationMode: false,
-            validationErrors: []
+            validationErrors: [],
+            compareWith: null, // null = pick the last report automatically, '' = no comparison
+            walkIndex: 0, // Where the count walk was left, so it picks up there
+            sort: 'report',
+            statusFilter: 'all' // Combines with the storage tab, see lib/item-view.js
         };
 
         this.initializeElements();
         this.attachEventListeners();
+        this.initTemplates();
+        this.loadPackSizes();
+        this.loadOpsSupplies();
+    }
+
+    // --- Change Request Form Templates ---
+
+    async initTemplates() {
+        try {
+            this.activeTemplate = await this.templateStore.getActive();
+        } catch (e) {
+            console.error('Error reading the active template:', e);
+            this.activeTemplate = null;
+        }
+
+        // The generator falls back to the built-in TEMPLATE_DATA when this is null
+        this.excelGenerator.templateData = this.activeTemplate ? this.activeTemplate.data : null;
+
+        await this.renderTemplates();
+        await this.loadTemplateOptions();
+    }
+
+    async renderTemplates() {
+        let templates = [];
+        try {
+            templates = await this.templateStore.list();
+        } catch (e) {
+            console.error('Error reading templates:', e);
+        }
+
+        const activeId = this.activeTemplate ? this.activeTemplate.id : null;
+        this.templateSummary.textContent = `Change Request Form: ${this.activeTemplate ? this.activeTemplate.name : 'built-in'}`;
+        this.templateList.innerHTML = '';
+
+        const entries = [{ id: null, name: 'Built-in form', detail: 'Ships with the app' }, ...templates.map(t => ({
+            id: t.id,
+            name: t.name,
+            detail: [t.fileName, `added ${this.formatTimestamp(t.createdAt)}`, `${(t.reasons || []).length} reasons`].filter(Boolean).join(' · ')
+        }))];
+
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'template-row';
+            li.innerHTML = `
+          <div class="session-info">
+            <span class="session-title"></span>
+            <span class="session-detail"></span>
+          </div>
+          <div class="session-actions"></div>
+        `;
+            li.querySelector('.session-title').textContent = entry.name;
+            li.querySelector('.session-detail').textContent = entry.detail;
+
+            const actions = li.querySelector('.session-actions');
+            if (entry.id === activeId) {
+                const badge = document.createElement('span');
+                badge.className = 'template-active';
+                badge.textContent = '✓ Active';
+                actions.appendChild(badge);
+            } else {
+                const useBtn = document.createElement('button');
+                useBtn.className = 'btn-resume';
+                useBtn.textContent = 'Use';
+                useBtn.addEventListener('click', () => this.useTemplate(entry.id));
+                actions.appendChild(useBtn);
+            }
+
+            if (entry.id) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'btn-discard';
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.addEventListener('click', () => this.deleteTemplate(entry.id));
+                actions.appendChild(deleteBtn);
+            }
+
+            this.templateList.appendChild(li);
+        });
+    }
+
+    async uploadTemplate() {
+        const file = this.templateFileInput.files && this.templateFileInput.files[0];
+        const name = this.templateNameInput.value.trim();
+        this.templateMessage.classList.remove('error');
+
+        if (!file) {
+            this.templateMessage.textContent = 'Choose an .xlsx file first.';
+            this.templateMessage.classList.add('error');
+            return;
+        }
+
+        try {
+            this.templateMessage.textContent = 'Checking template...';
+            const data = this.excelGenerator.arrayBufferToBase64(await file.arrayBuffer());
+            const { problems, reasons } = await this.excelGenerator.checkTemplate(data);
+
+            if (problems.length > 0) {
+                this.templateMessage.textContent = `${file.name} can't be used: ${problems.join(' ')}`;
+                this.templateMessage.classList.add('error');
+                return;
+            }
+
+            await this.templateStore.add({ name: name || file.name.replace(/\.xlsx$/i, ''), fileName: file.name, data, reasons });
+            this.templateMessage.textContent = `Added ${file.name}. Press Use to make it the active form.`;
+            this.templateNameInput.value = '';
+            this.templateFileInput.value = '';
+            await this.renderTemplates();
+        } catch (e) {
+            console.error('Error adding template:', e);
+            this.templateMessage.textContent = 'Failed to add template. See console for details.';
+            this.templateMessage.classList.add('error');
+        }
+    }
+
+    async useTemplate(id) {
+        this.templateStore.setActiveId(id);
+        this.templateMessage.textContent = '';
+        await this.initTemplates();
+    }
+
+    async deleteTemplate(id) {
+        if (!confirm('Delete this template version?')) return;
+
+        try {
+            await this.templateStore.delete(id);
+            await this.initTemplates();
+        } catch (e) {
+            console.error('Error deleting template:', e);
+            alert('Failed to delete template.');
+        }
+    }
+
+    // The reason dropdown mirrors whatever list the loaded Change Request Form offers
+    async loadTemplateOptions() {
+        try {
+            const { reasons } = await this.excelGenerator.readTemplateOptions();
+            this.reasonOptions = reasons;
+        } catch (e) {
+            console.error('Error reading reasons from the template:', e);
+            await this.fallBackToReasons(e);
+        }
+
+        if (this.items.length > 0) {
+            this.displayItems();
+            this.flagRetiredReasons();
+        }
+    }
+
+    // Without a reason list nothing can be increased or decreased, so keep the last list that
+    // worked, or else take the bundled form's, and say so
+    async fallBackToReasons(error) {
+        let source = 'the last template that could be read';
+        if (this.reasonOptions.length === 0) {
+            source = 'the built-in form';
+            try {
+                this.reasonOptions = (await this.excelGenerator.readTemplateOptions(window.TEMPLATE_DATA)).reasons;
+            } catch (e) {
+                console.error('Error reading reasons from the built-in form:', e);
+            }
+        }
+
+        alert(this.reasonOptions.length > 0
+            ? `The Change Request Form template could not be read (${error.message}). Using the reasons from ${source} for now.`
+            : `The Change Request Form template could not be read (${error.message}), so there are no reasons to choose from.`);
+    }
+
+    validationOptions() {
+        return { allowedReasons: this.reasonOptions.length > 0 ? this.reasonOptions : null };
+    }
+
+    // Sessions saved against an older form can hold reasons the current one doesn't accept
+    flagRetiredReasons() {
+        const options = this.validationOptions();
+        if (!options.allowedReasons) return;
+
+        const retired = this.items.filter(item =>
+            validateItem(item, this.validationRules, options).some(issue => issue.rule === 'reason-not-allowed')
+        );
+        if (retired.length > 0) {
+            alert(`${retired.length} item${retired.length === 1 ? ' has a reason' : 's have reasons'} the current Change Request Form no longer allows. They are flagged on their cards.`);
+        }
+    }
+
+    fillReasonOptions(select, currentReason) {
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.disabled = true;
+        placeholder.textContent = 'Select a reason...';
+        select.appendChild(placeholder);
+
+        const reasons = [...this.reasonOptions];
+        const retired = currentReason && !reasons.includes(currentReason);
+
+        reasons.forEach(reason => {
+            const option = document.createElement('option');
+            option.value = reason;
+            option.textContent = reason;
+            select.appendChild(option);
+        });
+
+        // Keep a reason the form has dropped visible so the manager can see what to replace
+        if (retired) {
+            const option = document.createElement('option');
+            option.value = currentReason;
+            option.textContent = this.reasonOptions.length > 0 ? `${currentReason} (no longer on the form)` : currentReason;
+            select.appendChild(option);
+        }
+
+        select.value = currentReason || '';
     }
 
     initializeElements() {
@@ -21,6 +254,22 @@ class OrderingApp {
 
         this.loadingEl = document.getElementById('loading');
 
+        this.reportMetaEl = document.getElementById('reportMeta');
+        this.reportStoreEl = document.getElementById('reportStore');
+        this.reportDetailsEl = document.getElementById('reportDetails');
+        this.btnSessions = document.getElementById('btnSessions');
+        this.compareSelect = document.getElementById('compareSelect');
+
+        this.comparePanel = document.getElementById('comparePanel');
+        this.compareSummary = document.getElementById('compareSummary');
+        this.compareRemovedList = document.getElementById('compareRemovedList');
+        this.changedTab = document.getElementById('changedTab');
+        this.suggestedTab = document.getElementById('suggestedTab');
+
+        this.diagnosticsPanel = document.getElementById('diagnosticsPanel');
+        this.diagnosticsSummary = document.getElementById('diagnosticsSummary');
+        this.diagnosticsList = document.getElementById('diagnosticsList');
+
         this.itemsContainer = document.getElementById('itemsContainer');
         this.itemsGrid = document.getElementById('itemsGrid');
         this.itemsCount = document.getElementById('itemsCount');
@@ -29,25 +278,84 @@ class OrderingApp {
         this.statAccepted = document.getElementById('statAccepted');
         this.statIncreased = document.getElementById('statIncreased');
         this.statDecreased = document.getElementById('statDecreased');
+        this.statCartonsAdded = document.getElementById('statCartonsAdded');
+        this.statCartonsRemoved = document.getElementById('statCartonsRemoved');
 
         this.submitContainer = document.getElementById('submitContainer');
         this.submitBtn = document.getElementById('submitBtn');
+        this.exportCsvBtn = document.getElementById('exportCsvBtn');
+        this.exportJsonBtn = document.getElementById('exportJsonBtn');
+        this.printBtn = document.getElementById('printBtn');
+        this.printSummaryEl = document.getElementById('printSummary');
+        this.shareActions = document.getElementById('shareActions');
+        this.shareStatus = document.getElementById('shareStatus');
+        this.shareBtn = document.getElementById('shareBtn');
+        this.emailDraftBtn = document.getElementById('emailDraftBtn');
+        this.downloadAgainBtn = document.getElementById('downloadAgainBtn');
 
         // New Controls
         this.controlsContainer = document.getElementById('controlsContainer');
         this.searchInput = document.getElementById('searchInput');
         this.clearSearchBtn = document.getElementById('clearSearch');
         this.filterTabs = document.getElementById('filterTabs');
+        this.sortSelect = document.getElementById('sortSelect');
+        this.statusFilterSelect = document.getElementById('statusFilterSelect');
+        this.attentionBtn = document.getElementById('attentionBtn');
+        this.bulkActions = document.getElementById('bulkActions');
+        this.bulkSelection = document.getElementById('bulkSelection');
+        this.bulkSelectedCount = document.getElementById('bulkSelectedCount');
+        this.undoToast = document.getElementById('undoToast');
+        this.undoToastText = document.getElementById('undoToastText');
+        this.undoToastBtn = document.getElementById('undoToastBtn');
         this.validationBanner = document.getElementById('validationBanner');
         this.exitValidationBtn = document.getElementById('exitValidationBtn');
 
-        // Resume Banner
-        this.resumeBanner = document.getElementById('resumeBanner');
-        this.resumeTimeEl = document.getElementById('resumeTime');
-        this.btnResume = document.getElementById('btnResume');
-        this.btnDiscard = document.getElementById('btnDiscard');
-
-        // Check for saved session on load
+        // Template Manager
+        this.templateManager = document.getElementById('templateManager');
+        this.templateSummary = document.getElementById('templateSummary');
+        this.templateList = document.getElementById('templateList');
+        this.templateNameInput = document.getElementById('templateName');
+        this.templateFileInput = document.getElementById('templateFile');
+        this.templateUploadBtn = document.getElementById('templateUploadBtn');
+        this.templateMessage = document.getElementById('templateMessage');
+
+        // Count Walk
+        this.walkStartBtn = document.getElementById('walkStartBtn');
+        this.countWalkEl = document.getElementById('countWalk');
+        this.walkExitBtn = document.getElementById('walkExitBtn');
+        this.walkProgressEl = document.getElementById('walkProgress');
+        this.walkStepEl = document.getElementById('walkStep');
+        this.walkPosition = document.getElementById('walkPosition');
+        this.walkWrin = document.getElementById('walkWrin');
+        this.walkName = document.getElementById('walkName');
+        this.walkDetails = document.getElementById('walkDetails');
+        this.walkInput = document.getElementById('walkInput');
+        this.walkPrevBtn = document.getElementById('walkPrevBtn');
+        this.walkSkipBtn = document.getElementById('walkSkipBtn');
+        this.walkNextBtn = document.getElementById('walkNextBtn');
+        this.walkReviewEl = document.getElementById('walkReview');
+        this.walkReviewList = document.getElementById('walkReviewList');
+        this.walkBackBtn = document.getElementById('walkBackBtn');
+        this.walkApplyBtn = document.getElementById('walkApplyBtn');
+
+        // Pack Sizes
+        this.packSummary = document.getElementById('packSummary');
+        this.packFileInput = document.getElementById('packFile');
+        this.packMessage = document.getElementById('packMessage');
+
+        // Ops Supplies list
+        this.opsSummary = document.getElementById('opsSummary');
+        this.opsListInput = document.getElementById('opsList');
+        this.opsSaveBtn = document.getElementById('opsSaveBtn');
+        this.opsFileInput = document.getElementById('opsFile');
+        this.opsMessage = document.getElementById('opsMessage');
+        this.walkConversion = document.getElementById('walkConversion');
+
+        // Session History
+        this.sessionsPanel = document.getElementById('sessionsPanel');
+        this.sessionList = document.getElementById('sessionList');
+
+        // Check for saved sessions on load
         this.checkForSavedSession();
     }
 
@@ -61,7 +369,11 @@ class OrderingApp {
         this.fileInput.addEventListener('change', (e) => {
             if (e.target.files && e.target.files.length > 0) {
                 const file = e.target.files[0];
-                this.handleFileUpload(file);
+                if (this.isSessionExport(file)) {
+                    this.importSession(file);
+                } else {
+                    this.handleFileUpload(file);
+                }
             }
         });
 
@@ -82,6 +394,8 @@ class OrderingApp {
                 const file = e.dataTransfer.files[0];
                 if (file.type === 'application/pdf') {
                     this.handleFileUpload(file);
+                } else if (this.isSessionExport(file)) {
+                    this.importSession(file);
                 } else {
                     alert('Please upload a PDF file');
                 }
@@ -92,6 +406,37 @@ class OrderingApp {
             this.generateExcel();
         });
 
+        this.exportCsvBtn.addEventListener('click', () => {
+            this.excelGenerator.downloadCSV(this.items, this.reportMeta);
+        });
+
+        this.exportJsonBtn.addEventListener('click', () => {
+            this.excelGenerator.downloadJSON(this.items, this.reportMeta, { diagnostics: this.diagnostics });
+        });
+
+        this.shareBtn.addEventListener('click', () => {
+            this.deliverExport();
+        });
+
+        this.emailDraftBtn.addEventListener('click', () => {
+            const { message, fileName } = this.lastExport;
+            window.location.href = this.excelGenerator.mailtoLink(message, fileName);
+        });
+
+        this.downloadAgainBtn.addEventListener('click', () => {
+            const { buffer, fileName } = this.lastExport;
+            this.excelGenerator.downloadBuffer(buffer, fileName);
+        });
+
+        this.printBtn.addEventListener('click', () => {
+            this.printSummary();
+        });
+
+        // Ctrl+P prints the summary too, not the card grid
+        window.addEventListener('beforeprint', () => {
+            if (this.items.length > 0) this.renderPrintSummary();
+        });
+
         // Search Listener
         this.searchInput.addEventListener('input', (e) => {
             this.state.search = e.target.value.toLowerCase();
@@ -122,14 +467,99 @@ class OrderingApp {
             this.toggleValidationMode(false);
         });
 
-        // Resume Session Listeners
-        this.btnResume.addEventListener('click', () => {
-            this.loadState();
+        this.templateUploadBtn.addEventListener('click', () => {
+            this.uploadTemplate();
+        });
+
+        this.compareSelect.addEventListener('change', (e) => {
+            this.setComparison(e.target.value);
+        });
+
+        this.sortSelect.addEventListener('change', (e) => {
+            this.state.sort = e.target.value;
+            this.displayItems();
+            this.saveState();
+        });
+
+        this.statusFilterSelect.addEventListener('change', (e) => {
+            this.state.statusFilter = e.target.value;
+            this.displayItems();
+            this.saveState();
+        });
+
+        // Preset: everything still to look at, across all storage areas
+        this.attentionBtn.addEventListener('click', () => {
+            this.state.search = '';
+            this.searchInput.value = '';
+            this.clearSearchBtn.style.display = 'none';
+            this.state.statusFilter = 'attention';
+            this.statusFilterSelect.value = 'attention';
+            this.filterTabs.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t.dataset.filter === 'ALL'));
+            this.setFilter('ALL');
+            this.saveState();
+        });
+
+        // Undo / redo. Text fields keep their own Ctrl+Z
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || this.items.length === 0) return;
+            if (e.target.matches && e.target.matches('textarea, select, input:not([type="checkbox"])')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoDecision();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redoDecision();
+            }
+        });
+
+        this.undoToastBtn.addEventListener('click', () => {
+            if (this.undoToastBtn.dataset.action === 'redo') {
+                this.redoDecision();
+            } else {
+                this.undoDecision();
+            }
+        });
+
+        this.bulkActions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (button) this.runBulkAction(button.dataset.bulk);
+        });
+
+        this.packFileInput.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files.length > 0) this.importPackSizes(e.target.files[0]);
+        });
+
+        this.opsSaveBtn.addEventListener('click', () => this.saveOpsSupplies());
+        this.opsFileInput.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files.length > 0) this.importOpsSupplies(e.target.files[0]);
+        });
+
+        // Count Walk
+        this.walkStartBtn.addEventListener('click', () => this.startCountWalk());
+        this.walkExitBtn.addEventListener('click', () => this.exitCountWalk());
+        this.walkPrevBtn.addEventListener('click', () => this.moveCountWalk(-1));
+        this.walkSkipBtn.addEventListener('click', () => this.moveCountWalk(1));
+        this.walkNextBtn.addEventListener('click', () => {
+            if (this.saveWalkCount()) this.moveCountWalk(1);
+        });
+        this.walkInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.saveWalkCount()) this.moveCountWalk(1);
         });
+        this.walkInput.addEventListener('input', (e) => {
+            const step = this.walk && this.walk.steps[this.walk.index];
+            const item = step && this.items.find(i => i.wrin === step.wrin);
+            if (!item) return;
+            const { value, error } = this.readStockEntry(item, e.target.value);
+            this.renderStockConversion(this.walkConversion, value, error, e.target.value);
+        });
+        this.walkBackBtn.addEventListener('click', () => this.moveCountWalk(-1));
+        this.walkApplyBtn.addEventListener('click', () => this.applyWalkClassification());
 
-        this.btnDiscard.addEventListener('click', () => {
+        // Back to the session list (the open session is already saved)
+        this.btnSessions.addEventListener('click', () => {
             this.clearState();
-            this.resumeBanner.style.display = 'none';
         });
     }
 
@@ -163,42 +593,71 @@ class OrderingApp {
             return this.items.filter(item => this.state.validationErrors.includes(item.wrin));
         }
 
-        return this.items.filter(item => {
-            // 1. Filter by Category
-            const matchesCategory = this.state.filter === 'ALL' || item.storageType === this.state.filter;
+        const validationOptions = this.validationOptions();
+        const statusOptions = {
+            isInvalid: (item) => validateItem(item, this.validationRules, validationOptions).some(i => i.level === 'error')
+        };
+
+        const visible = this.items.filter(item => {
+            // 1. Filter by Category ('CHANGED' = new or moved since the compared report, 'SUGGESTED' = has a usage suggestion)
+            const matchesCategory = this.state.filter === 'ALL' || item.storageType === this.state.filter ||
+                (this.state.filter === 'CHANGED' && this.getComparisonEntry(item.wrin) && this.getComparisonEntry(item.wrin).change !== 'unchanged') ||
+                (this.state.filter === 'SUGGESTED' && !!this.suggestions[item.wrin]);
 
             // 2. Filter by Search (Name or WRIN)
             const term = this.state.search;
             const matchesSearch = !term || item.name.toLowerCase().includes(term) || item.wrin.includes(term);
 
-            return matchesCategory && matchesSearch;
+            // 3. Filter by Status (unreviewed, accepted, ..., needs attention)
+            const matchesStatus = matchesStatusFilter(item, this.state.statusFilter, statusOptions);
+
+            return matchesCategory && matchesSearch && matchesStatus;
         });
+
+        return sortItems(visible, this.state.sort);
     }
 
     async handleFileUpload(file) {
-        // Check if there's an active session
-        if (this.items.length > 0) {
-            if (!confirm('Uploading a new file will clear your current session. Do you want to proceed?')) {
-                this.fileInput.value = '';
-                return;
-            }
-        }
-
         try {
             this.showLoading();
             this.hideUploadZone();
-            this.resumeBanner.style.display = 'none'; // Hide resume banner if valid upload starts
+            this.sessionsPanel.classList.remove('active'); // Hide session list if valid upload starts
 
             const newItems = await this.pdfParser.parsePDF(file);
+            const newMeta = this.pdfParser.getReportMeta();
+            const newDiagnostics = this.pdfParser.getDiagnostics();
+
+            // Same store + report date already has a session: offer it back instead of starting over
+            let sessionId = SessionStore.sessionKey(newMeta, `${file.name}@${Date.now()}`);
+            const existing = this.sessions.find(s => s.id === sessionId);
+            if (existing) {
+                if (confirm(`You already have a session for this report (last saved ${this.formatTimestamp(existing.updatedAt)}). Open it instead of starting over?\n\nCancel starts a new copy and keeps the saved session.`)) {
+                    this.hideLoading();
+                    await this.openSession(sessionId);
+                    return;
+                }
+                sessionId = SessionStore.duplicateKey(sessionId, this.sessions.map(s => s.id));
+            }
 
             // Clear any old state first
             this.clearState();
+            this.hideUploadZone();
+            this.sessionsPanel.classList.remove('active');
 
             // Set and save new items
+            this.sessionId = sessionId;
             this.items = newItems;
             this.pdfParser.items = newItems; // FIX: Sync parser items after clearState wiped them
+            this.reportMeta = newMeta;
+            this.pdfParser.reportMeta = newMeta;
+            this.diagnostics = newDiagnostics;
             this.saveState();
 
+            this.renderReportMeta();
+            this.renderDiagnostics();
+            await this.loadComparison();
+            this.loadSuggestions();
+
             this.hideLoading();
             this.hideUploadZone(); // Ensure upload zone is hidden after clearState showed it
 
@@ -212,12 +671,142 @@ class OrderingApp {
 
             if (this.items.length === 0) {
                 this.showUploadZone();
+                this.renderSessions();
+            }
+        } finally {
+            this.fileInput.value = '';
+        }
+    }
+
+    isSessionExport(file) {
+        return file.type === 'application/json' || /\.json$/i.test(file.name);
+    }
+
+    // Restores a session from a JSON export (another device, or a colleague's copy)
+    async importSession(file) {
+        try {
+            const { reportMeta, items, diagnostics } = this.excelGenerator.readSessionExport(await file.text());
+
+            const sessionId = SessionStore.sessionKey(reportMeta, `${file.name}@${Date.now()}`);
+            const existing = this.sessions.find(s => s.id === sessionId);
+            if (existing && !confirm(`You already have a session for this report (last saved ${this.formatTimestamp(existing.updatedAt)}). Replace it with the imported one?`)) {
+                return;
+            }
+
+            if (existing) {
+                await this.sessionStore.delete(sessionId);
             }
+            await this.sessionStore.update(sessionId, { items, reportMeta, diagnostics, state: null });
+
+            await this.refreshSessions();
+            await this.openSession(sessionId);
+        } catch (error) {
+            console.error('Error importing session:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
         } finally {
             this.fileInput.value = '';
         }
     }
 
+    renderReportMeta() {
+        const meta = this.reportMeta || {};
+
+        const store = [meta.storeNumber ? `Store #${meta.storeNumber}` : null, meta.storeName]
+            .filter(Boolean)
+            .join(' · ');
+
+        const details = [
+            meta.reportDate ? `Report date: ${meta.reportDate}` : null,
+            meta.user ? `Generated by: ${meta.user}` : null,
+            meta.processedAt ? `Processed: ${meta.processedAt}` : null
+        ].filter(Boolean);
+
+        this.reportStoreEl.textContent = store || 'MB Sync Report';
+        this.reportDetailsEl.innerHTML = '';
+        details.forEach(text => {
+            const chip = document.createElement('span');
+            chip.className = 'report-detail';
+            chip.textContent = text;
+            this.reportDetailsEl.appendChild(chip);
+        });
+
+        this.reportMetaEl.classList.add('active');
+    }
+
+    renderDiagnostics() {
+        const labels = {
+            'unparsed': 'Unreadable row',
+            'unknown-storage': 'Unknown storage',
+            'duplicate-wrin': 'Duplicate WRIN',
+            'decimal-stripped': 'Number dropped',
+            'no-header': 'No column headers'
+        };
+
+        this.diagnosticsList.innerHTML = '';
+
+        if (this.diagnostics.length === 0) {
+            this.diagnosticsSummary.textContent = `✓ All ${this.items.length} items read cleanly`;
+            this.diagnosticsPanel.classList.remove('has-issues');
+        } else {
+            this.diagnosticsSummary.textContent = `⚠️ ${this.diagnostics.length} row${this.diagnostics.length === 1 ? '' : 's'} to check after reading ${this.items.length} items`;
+            this.diagnosticsPanel.classList.add('has-issues');
+        }
+
+        this.diagnostics.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = `diagnostic diagnostic-${entry.type}`;
+            li.innerHTML = `
+          <span class="diagnostic-type"></span>
+          <span class="diagnostic-message"></span>
+          <div class="diagnostic-links"></div>
+          <pre class="diagnostic-line"></pre>
+        `;
+            li.querySelector('.diagnostic-type').textContent = labels[entry.type] || entry.type;
+            li.querySelector('.diagnostic-message').textContent = entry.message;
+
+            const links = li.querySelector('.diagnostic-links');
+            const linePre = li.querySelector('.diagnostic-line');
+
+            if (entry.line) {
+                linePre.textContent = `Line ${entry.lineNumber}: ${entry.line}`;
+
+                const lineBtn = document.createElement('button');
+                lineBtn.className = 'btn-link';
+                lineBtn.textContent = 'Show raw line';
+                lineBtn.addEventListener('click', () => {
+                    const open = linePre.classList.toggle('active');
+                    lineBtn.textContent = open ? 'Hide raw line' : 'Show raw line';
+                });
+                links.appendChild(lineBtn);
+            }
+
+            if (entry.wrin && this.items.some(i => i.wrin === entry.wrin)) {
+                const itemBtn = document.createElement('button');
+                itemBtn.className = 'btn-link';
+                itemBtn.textContent = 'Go to item';
+                itemBtn.addEventListener('click', () => this.showItem(entry.wrin));
+                links.appendChild(itemBtn);
+            }
+
+            this.diagnosticsList.appendChild(li);
+        });
+
+        this.diagnosticsPanel.classList.add('active');
+    }
+
+    showItem(wrin) {
+        // Narrow the grid to this WRIN so the card is guaranteed to be rendered
+        if (this.state.validationMode) this.toggleValidationMode(false);
+        this.state.search = wrin;
+        this.searchInput.value = wrin;
+        this.clearSearchBtn.style.display = 'block';
+        this.filterTabs.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t.dataset.filter === 'ALL'));
+        this.setFilter('ALL');
+
+        const card = this.itemsGrid.querySelector(`[data-wrin="${wrin}"]`);
+        if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
     displayItems() {
         this.itemsGrid.innerHTML = '';
 
@@ -232,7 +821,8 @@ class OrderingApp {
             });
         }
 
-        this.itemsCount.textContent = `${renderList.length} items visible`;
+        this.renderItemsCount(renderList);
+        this.renderBulkSelection();
         this.itemsContainer.classList.add('active');
         this.summaryStats.classList.add('active');
         this.submitContainer.classList.add('active');
@@ -247,13 +837,32 @@ class OrderingApp {
         card.className = 'item-card';
         card.dataset.wrin = item.wrin;
 
-        const stockValue = (item.actualStock !== null && item.actualStock !== undefined) ? item.actualStock : '';
+        // What was typed ("2 cs + 3 sl") if there was a conversion, otherwise the cartons
+        const stockValue = item.stockEntry || ((item.actualStock !== null && item.actualStock !== undefined) ? item.actualStock : '');
+
+        // Everything the report printed that isn't already on the card face
+        const extraDetails = REPORT_COLUMNS.filter(c => !c.primary).map(c => {
+            const value = (item[c.key] !== null && item[c.key] !== undefined) ? item[c.key] : '–';
+            return `
+          <div class="detail-item">
+            <span class="detail-label">${c.label}</span>
+            <span class="detail-value">${value}</span>
+          </div>`;
+        }).join('');
 
         card.innerHTML = `
       <div class="item-header">
-        <div class="item-wrin">WRIN: ${item.wrin}</div>
-        <h3 class="item-name">${item.name}</h3>
-        <span class="item-storage">${item.storageType}</span>
+        <div class="item-header-top">
+          <div class="item-wrin">WRIN: ${item.wrin}</div>
+          <label class="item-select" title="Select for a bulk action">
+            <input type="checkbox" class="item-select-input">
+          </label>
+        </div>
+        <h3 class="item-name"></h3>
+        <div class="item-tags">
+          <span class="item-storage"></span>
+          <span class="item-unreviewed">Unreviewed</span>
+        </div>
       </div>
 
       <div class="item-details">
@@ -271,6 +880,12 @@ class OrderingApp {
         </div>
       </div>
 
+      <details class="item-more">
+        <summary>All report columns</summary>
+        <div class="item-details">${extraDetails}
+        </div>
+      </details>
+
       <div class="item-actions">
         <button class="btn btn-accept" data-action="accept">
           <span>✓ Accept</span>
@@ -284,31 +899,51 @@ class OrderingApp {
       </div>
 
       <div class="stock-input-container" id="stock-${item.wrin}">
+        <div class="adjusted-qty"></div>
+        <ul class="item-issues"></ul>
         <div class="input-group">
             <label for="input-${item.wrin}">Current Stock on Hand:</label>
             <input 
-              type="number" 
+              type="text" 
+              inputmode="decimal"
               id="input-${item.wrin}" 
-              placeholder="Enter stock"
-              min="0"
-              step="0.01"
-              value="${stockValue}"
+              placeholder="e.g. 2 cs + 3 sl + 5 ea"
+              autocomplete="off"
             />
+            <div class="stock-conversion"></div>
+            <details class="pack-size">
+              <summary></summary>
+              <div class="pack-size-fields">
+                <label>Units per sleeve <input type="number" class="pack-units" min="1" step="1"></label>
+                <label>Sleeves per case <input type="number" class="pack-sleeves" min="1" step="1"></label>
+                <button class="btn-link pack-save">Save pack size</button>
+              </div>
+            </details>
         </div>
         <div class="input-group">
             <label for="reason-${item.wrin}">Reason for Change:</label>
-            <select id="reason-${item.wrin}" class="reason-select">
-                <option value="" disabled ${!item.reason ? 'selected' : ''}>Select a reason...</option>
-                <option value="Stock On Hand Variance" ${item.reason === 'Stock On Hand Variance' ? 'selected' : ''}>Stock On Hand Variance</option>
-                <option value="Manual Items" ${item.reason === 'Manual Items' ? 'selected' : ''}>Manual Items</option>
-                <option value="Safety Stock" ${item.reason === 'Safety Stock' ? 'selected' : ''}>Safety Stock</option>
-                <option value="Shelf Life" ${item.reason === 'Shelf Life' ? 'selected' : ''}>Shelf Life</option>
-                <option value="Usage" ${item.reason === 'Usage' ? 'selected' : ''}>Usage</option>
-            </select>
+            <select id="reason-${item.wrin}" class="reason-select"></select>
+        </div>
+        <div class="input-group">
+            <label for="comment-${item.wrin}">Comment (optional):</label>
+            <textarea 
+              id="comment-${item.wrin}" 
+              class="comment-input"
+              rows="2"
+              placeholder="Why is this change needed?"
+            ></textarea>
         </div>
       </div>
     `;
 
+        // Set via the property so free text can't break out of the markup
+        card.querySelector('.item-name').textContent = item.name;
+        card.querySelector('.item-storage').textContent = item.storageType;
+        const commentInput = card.querySelector(`#comment-${item.wrin}`);
+        commentInput.value = item.comment || '';
+
+        this.fillReasonOptions(card.querySelector(`#reason-${item.wrin}`), item.reason);
+
         const buttons = card.querySelectorAll('.btn');
         buttons.forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -318,15 +953,23 @@ class OrderingApp {
         });
 
         const input = card.querySelector(`#input-${item.wrin}`);
+        input.value = stockValue;
         input.addEventListener('input', (e) => {
-            const val = e.target.value;
-            const actualStock = val === '' ? null : parseFloat(val);
+            const { value: actualStock, error } = this.readStockEntry(item, e.target.value);
+            this.renderStockConversion(card.querySelector('.stock-conversion'), actualStock, error, e.target.value);
+            if (error) return;
 
             // FIND REAL ITEM IN SOURCE OF TRUTH
             const realItem = this.items.find(i => i.wrin === item.wrin);
             if (realItem) {
                 console.log('Auto-saving stock:', realItem.wrin, actualStock);
-                this.pdfParser.updateItemStatus(realItem.wrin, realItem.status, actualStock, realItem.reason);
+                this.trackDecisions(`Stock for ${realItem.name}`, [realItem], () => {
+                    this.pdfParser.updateItemStatus(realItem.wrin, realItem.status, actualStock, realItem.reason);
+                    realItem.stockEntry = this.isUnitEntry(e.target.value) ? e.target.value.trim() : null;
+                }, { mergeKey: `stock:${realItem.wrin}` });
+                this.renderAdjustedQty(card, realItem);
+                this.renderItemIssues(card, realItem);
+                this.updateStats();
                 this.saveState();
             }
         });
@@ -339,12 +982,44 @@ class OrderingApp {
             const realItem = this.items.find(i => i.wrin === item.wrin);
             if (realItem) {
                 console.log('Auto-saving reason:', realItem.wrin, reason);
-                this.pdfParser.updateItemStatus(realItem.wrin, realItem.status, realItem.actualStock, reason);
+                this.trackDecisions(`Reason for ${realItem.name}`, [realItem], () => {
+                    this.pdfParser.updateItemStatus(realItem.wrin, realItem.status, realItem.actualStock, reason);
+                });
+                this.renderItemIssues(card, realItem);
+                this.saveState();
+            }
+        });
+
+        commentInput.addEventListener('input', (e) => {
+            const comment = e.target.value;
+
+            // FIND REAL ITEM IN SOURCE OF TRUTH
+            const realItem = this.items.find(i => i.wrin === item.wrin);
+            if (realItem) {
+                // Recorded so undoing an older change can't bring back an old comment, but no toast while typing
+                this.trackDecisions(`Comment for ${realItem.name}`, [realItem], () => {
+                    this.pdfParser.updateItemStatus(realItem.wrin, realItem.status, realItem.actualStock, realItem.reason, comment);
+                }, { mergeKey: `comment:${realItem.wrin}`, toast: false });
                 this.saveState();
             }
         });
 
-        if (item.status === 'accept') {
+        const selectInput = card.querySelector('.item-select-input');
+        selectInput.checked = this.selectedWrins.has(item.wrin);
+        card.classList.toggle('selected', selectInput.checked);
+        selectInput.addEventListener('change', () => {
+            if (selectInput.checked) {
+                this.selectedWrins.add(item.wrin);
+            } else {
+                this.selectedWrins.delete(item.wrin);
+            }
+            card.classList.toggle('selected', selectInput.checked);
+            this.renderBulkSelection();
+        });
+
+        if (item.status === 'neutral') {
+            card.classList.add('status-neutral');
+        } else if (item.status === 'accept') {
             card.classList.add('status-accept');
             const acceptBtn = card.querySelector('[data-action="accept"]');
             if (acceptBtn) acceptBtn.classList.add('active');
@@ -357,10 +1032,591 @@ class OrderingApp {
             if (stockInput) stockInput.classList.add('active');
         }
 
+        this.renderPackSize(card, item);
+        if (item.stockEntry) this.renderStockConversion(card.querySelector('.stock-conversion'), item.actualStock, null, item.stockEntry);
+
+        if (item.opsSupply) this.lockItemCard(card);
+
+        this.renderAdjustedQty(card, item);
+        this.renderItemIssues(card, item);
+        this.renderItemComparison(card, item);
+        this.renderItemSuggestion(card, item);
+
         return card;
     }
 
+    // --- Pack Sizes ---
+
+    async loadPackSizes() {
+        try {
+            this.packSizes = await this.packSizeStore.load();
+        } catch (e) {
+            console.error('Error reading pack sizes:', e);
+            this.packSizes = {};
+        }
+        this.packSummary.textContent = `Pack sizes: ${Object.keys(this.packSizes).length} item${Object.keys(this.packSizes).length === 1 ? '' : 's'}`;
+    }
+
+    async importPackSizes(file) {
+        try {
+            const { packs, problems } = readPackSizesCSV(await file.text());
+            if (packs.length === 0) {
+                this.packMessage.textContent = problems[0] || 'No pack sizes found in that file.';
+                return;
+            }
+
+            await this.packSizeStore.import(packs);
+            await this.loadPackSizes();
+            this.packMessage.textContent = `Imported ${packs.length} pack size${packs.length === 1 ? '' : 's'}` +
+                (problems.length > 0 ? `; skipped ${problems.length} row${problems.length === 1 ? '' : 's'} (${problems[0]}${problems.length > 1 ? ', …' : ''})` : '.');
+            if (this.items.length > 0) this.displayItems();
+        } catch (e) {
+            console.error('Error importing pack sizes:', e);
+            this.packMessage.textContent = `Could not import ${file.name}: ${e.message}`;
+        } finally {
+            this.packFileInput.value = '';
+        }
+    }
+
+    // --- Ops Supplies List ---
+
+    async loadOpsSupplies() {
+        let wrins = [];
+        try {
+            wrins = await this.opsSupplyStore.load();
+        } catch (e) {
+            console.error('Error reading the Ops Supplies list:', e);
+        }
+        this.applyOpsSupplies(wrins);
+    }
+
+    // The parser uses the list for the next report; items already loaded are sorted again now
+    applyOpsSupplies(wrins) {
+        this.pdfParser.opsSupplyWrins = wrins;
+        this.opsListInput.value = wrins.join('\n');
+        this.opsSummary.textContent = `Ops Supplies list: ${wrins.length} WRIN${wrins.length === 1 ? '' : 's'}`;
+
+        if (this.items.length === 0) return;
+        this.classifyOpsSupplies();
+        this.displayItems();
+        this.updateStats();
+        this.saveState();
+    }
+
+    // Heading or list, same test the parser applies to a new report
+    classifyOpsSupplies() {
+        this.items.forEach(item => {
+            item.opsSupply = this.pdfParser.isOpsSupply(item.wrin, item.section);
+        });
+    }
+
+    async saveOpsSupplies() {
+        const { wrins, problems } = readOpsSuppliesList(this.opsListInput.value);
+        if (problems.length > 0) {
+            this.opsMessage.textContent = `Not saved. ${problems[0]}${problems.length > 1 ? ` (and ${problems.length - 1} more)` : ''}`;
+            return;
+        }
+
+        try {
+            await this.opsSupplyStore.save(wrins);
+            this.opsMessage.textContent = `Saved ${wrins.length} WRIN${wrins.length === 1 ? '' : 's'}.`;
+            await this.loadOpsSupplies();
+        } catch (e) {
+            console.error('Error saving the Ops Supplies list:', e);
+            this.opsMessage.textContent = `Could not save the list: ${e.message}`;
+        }
+    }
+
+    async importOpsSupplies(file) {
+        try {
+            const { wrins, problems } = readOpsSuppliesList(await file.text());
+            if (wrins.length === 0) {
+                this.opsMessage.textContent = problems[0] || 'No WRINs found in that file.';
+                return;
+            }
+
+            const added = await this.opsSupplyStore.import(wrins);
+            await this.loadOpsSupplies();
+            this.opsMessage.textContent = `Added ${added} WRIN${added === 1 ? '' : 's'}` +
+                (problems.length > 0 ? `; skipped ${problems.length} row${problems.length === 1 ? '' : 's'} (${problems[0]}${problems.length > 1 ? ', …' : ''})` : '.');
+        } catch (e) {
+            console.error('Error importing the Ops Supplies list:', e);
+            this.opsMessage.textContent = `Could not import ${file.name}: ${e.message}`;
+        } finally {
+            this.opsFileInput.value = '';
+        }
+    }
+
+    // { value, error } for what was typed in a stock field; value is cartons
+    readStockEntry(item, text) {
+        try {
+            return { value: parseStockEntry(text, packForItem(item, this.packSizes)), error: null };
+        } catch (e) {
+            return { value: null, error: e.message };
+        }
+    }
+
+    isUnitEntry(text) {
+        return /[a-z+]/i.test(String(text || ''));
+    }
+
+    renderStockConversion(el, value, error, text) {
+        el.classList.toggle('error', !!error);
+        if (error) {
+            el.textContent = error;
+        } else if (value !== null && value !== undefined && this.isUnitEntry(text)) {
+            el.textContent = `= ${Number(value.toFixed(4))} cartons`;
+        } else {
+            el.textContent = '';
+        }
+    }
+
+    renderPackSize(card, item) {
+        const entry = this.packSizes[packKey(item.wrin)];
+        const pack = packForItem(item, this.packSizes);
+
+        card.querySelector('.pack-size summary').textContent = entry
+            ? `Pack: ${entry.unitsPerSleeve} ea × ${entry.sleevesPerCase} sl per case`
+            : `Pack size: ${pack.unitsPerCase ? `${pack.unitsPerCase} ea per case (report), no sleeves` : 'not set'}`;
+
+        const unitsInput = card.querySelector('.pack-units');
+        const sleevesInput = card.querySelector('.pack-sleeves');
+        unitsInput.value = entry ? entry.unitsPerSleeve : '';
+        sleevesInput.value = entry ? entry.sleevesPerCase : '';
+
+        card.querySelector('.pack-save').onclick = async () => {
+            const unitsPerSleeve = parseFloat(unitsInput.value);
+            const sleevesPerCase = parseFloat(sleevesInput.value);
+            if (!(unitsPerSleeve > 0) || !(sleevesPerCase > 0)) {
+                alert('Enter units per sleeve and sleeves per case.');
+                return;
+            }
+
+            try {
+                await this.packSizeStore.save({ wrin: item.wrin, unitsPerSleeve, sleevesPerCase });
+                await this.loadPackSizes();
+                this.renderPackSize(card, item);
+
+                // Re-read what was typed with the new pack
+                card.querySelector(`#input-${item.wrin}`).dispatchEvent(new Event('input'));
+            } catch (e) {
+                console.error('Error saving pack size:', e);
+                alert('Failed to save the pack size.');
+            }
+        };
+    }
+
+    // --- Count Walk ---
+
+    startCountWalk() {
+        const steps = buildCountWalk(this.items);
+        if (steps.length === 0) {
+            alert('There are no items to count.');
+            return;
+        }
+
+        if (this.state.validationMode) this.toggleValidationMode(false);
+
+        this.walk = { steps, index: Math.min(this.state.walkIndex || 0, steps.length - 1) };
+        this.itemsContainer.classList.remove('active');
+        this.controlsContainer.style.display = 'none';
+        this.submitContainer.classList.remove('active');
+        this.countWalkEl.classList.add('active');
+        this.renderCountWalk();
+    }
+
+    exitCountWalk() {
+        this.walk = null;
+        this.countWalkEl.classList.remove('active');
+        this.displayItems();
+        this.updateStats();
+    }
+
+    // index === steps.length is the classification screen at the end
+    moveCountWalk(delta) {
+        const { steps } = this.walk;
+        this.walk.index = Math.max(0, Math.min(steps.length, this.walk.index + delta));
+        this.state.walkIndex = Math.min(this.walk.index, steps.length - 1);
+        this.saveState();
+        this.renderCountWalk();
+    }
+
+    saveWalkCount() {
+        const step = this.walk.steps[this.walk.index];
+        const item = step && this.items.find(i => i.wrin === step.wrin);
+        if (!item) return false;
+
+        const entry = this.walkInput.value;
+        const { value: actualStock, error } = this.readStockEntry(item, entry);
+        if (error) {
+            this.renderStockConversion(this.walkConversion, null, error, entry);
+            return false;
+        }
+        if (actualStock === item.actualStock) return true;
+
+        this.trackDecisions(`Count for ${item.name}`, [item], () => {
+            this.pdfParser.updateItemStatus(item.wrin, item.status, actualStock, item.reason);
+            item.stockEntry = this.isUnitEntry(entry) ? entry.trim() : null;
+        });
+        this.updateStats();
+        return true;
+    }
+
+    renderCountWalk() {
+        const { steps, index } = this.walk;
+        const current = steps[index];
+
+        this.walkProgressEl.innerHTML = '';
+        countWalkProgress(this.items, steps).forEach(area => {
+            const row = document.createElement('div');
+            row.className = 'walk-area';
+            if (current && current.area === area.area) row.classList.add('current');
+            row.innerHTML = `
+          <span class="walk-area-name"></span>
+          <div class="walk-bar"><span></span></div>
+          <span class="walk-area-count">${area.counted}/${area.total}</span>
+        `;
+            row.querySelector('.walk-area-name').textContent = area.area;
+            row.querySelector('.walk-bar span').style.width = `${Math.round(100 * area.counted / area.total)}%`;
+            this.walkProgressEl.appendChild(row);
+        });
+
+        if (!current) {
+            this.walkStepEl.style.display = 'none';
+            this.walkReviewEl.style.display = 'block';
+            this.renderWalkReview();
+            return;
+        }
+
+        this.walkStepEl.style.display = 'block';
+        this.walkReviewEl.style.display = 'none';
+
+        const item = this.items.find(i => i.wrin === current.wrin);
+        const areaSteps = steps.filter(s => s.area === current.area);
+        this.walkPosition.textContent = `${current.area} · ${areaSteps.indexOf(current) + 1} of ${areaSteps.length}`;
+        this.walkWrin.textContent = `WRIN: ${item.wrin}`;
+        this.walkName.textContent = item.name;
+        this.walkDetails.textContent = [
+            `RSP ${this.formatQty(item.stock)}`,
+            `Proposed ${this.formatQty(item.proposedQty)}`,
+            `Transit ${this.formatQty(item.transit)}`,
+            item.unitsPerCase ? `${item.unitsPerCase} per case` : null
+        ].filter(Boolean).join(' · ');
+
+        this.walkInput.value = item.stockEntry || (item.actualStock !== null && item.actualStock !== undefined ? item.actualStock : '');
+        this.renderStockConversion(this.walkConversion, item.actualStock, null, this.walkInput.value);
+        this.walkPrevBtn.disabled = index === 0;
+        this.walkInput.focus();
+    }
+
+    renderWalkReview() {
+        this.walkReviewList.innerHTML = '';
+        const counted = this.walk.steps
+            .map(step => this.items.find(i => i.wrin === step.wrin))
+            .filter(item => classifyCount(item));
+
+        if (counted.length === 0) {
+            this.walkReviewList.innerHTML = '<li class="walk-review-empty">Nothing was counted.</li>';
+            this.walkApplyBtn.disabled = true;
+            return;
+        }
+        this.walkApplyBtn.disabled = false;
+
+        counted.forEach(item => {
+            // A decision already made on the card wins over the suggestion
+            const choice = item.status === 'increase' || item.status === 'decrease' ? item.status : classifyCount(item);
+
+            const li = document.createElement('li');
+            li.className = 'walk-review-row';
+            li.dataset.wrin = item.wrin;
+            li.dataset.choice = choice;
+            li.innerHTML = `
+          <div class="walk-review-info">
+            <span class="walk-review-name"></span>
+            <span class="walk-review-detail">Counted ${this.formatQty(item.actualStock)} · RSP ${this.formatQty(item.stock)}</span>
+          </div>
+          <div class="walk-review-choices">
+            <button class="walk-choice" data-choice="accept">✓ Accept</button>
+            <button class="walk-choice" data-choice="increase">↑ Increase</button>
+            <button class="walk-choice" data-choice="decrease">↓ Decrease</button>
+          </div>
+        `;
+            li.querySelector('.walk-review-name').textContent = `${item.wrin} ${item.name}`;
+
+            const choices = li.querySelectorAll('.walk-choice');
+            const select = (value) => {
+                li.dataset.choice = value;
+                choices.forEach(btn => btn.classList.toggle('active', btn.dataset.choice === value));
+            };
+            choices.forEach(btn => btn.addEventListener('click', () => select(btn.dataset.choice)));
+            select(choice);
+
+            this.walkReviewList.appendChild(li);
+        });
+    }
+
+    applyWalkClassification() {
+        // Count-driven changes default to the template's stock-on-hand reason when it has one
+        const countReason = this.reasonOptions.find(r => /stock on hand/i.test(r)) || '';
+
+        const rows = [...this.walkReviewList.querySelectorAll('.walk-review-row')];
+        const items = rows.map(row => this.items.find(i => i.wrin === row.dataset.wrin)).filter(Boolean);
+
+        this.trackDecisions(`Classify ${items.length} counted item${items.length === 1 ? '' : 's'}`, items, () => {
+            rows.forEach(row => {
+                const item = this.items.find(i => i.wrin === row.dataset.wrin);
+                if (!item) return;
+
+                const status = row.dataset.choice;
+                const reason = status === 'accept' ? item.reason : (item.reason || countReason);
+                this.pdfParser.updateItemStatus(item.wrin, status, item.actualStock, reason);
+            });
+        });
+
+        this.state.walkIndex = 0;
+        this.saveState();
+        this.exitCountWalk();
+    }
+
+    // --- Compare With Previous Report ---
+
+    // Most recent other report for the same store, if the manager hasn't chosen one
+    defaultComparisonId() {
+        const storeKey = SessionStore.sessionKey(this.reportMeta).split('|')[0];
+        const candidate = this.sessions.find(s =>
+            s.id !== this.sessionId &&
+            SessionStore.sessionKey(s.reportMeta).split('|')[0] === storeKey &&
+            SessionStore.sessionKey(s.reportMeta) !== SessionStore.sessionKey(this.reportMeta)
+        );
+        return candidate ? candidate.id : '';
+    }
+
+    async loadComparison() {
+        try {
+            this.sessions = await this.sessionStore.list();
+        } catch (e) {
+            console.error('Error reading saved sessions', e);
+        }
+
+        const compareWith = this.state.compareWith === null ? this.defaultComparisonId() : this.state.compareWith;
+        await this.setComparison(compareWith, false);
+    }
+
+    async setComparison(sessionId, rerender = true) {
+        this.state.compareWith = sessionId || '';
+        this.comparison = null;
+
+        if (sessionId) {
+            try {
+                const previous = await this.sessionStore.get(sessionId);
+                if (previous) {
+                    this.comparison = compareReports(this.items, previous.items);
+                    this.comparison.reportMeta = previous.reportMeta || {};
+                } else {
+                    this.state.compareWith = '';
+                }
+            } catch (e) {
+                console.error('Error loading comparison report:', e);
+                this.state.compareWith = '';
+            }
+        }
+
+        this.renderComparison();
+        this.ensureFilterAvailable();
+        if (rerender) {
+            this.displayItems();
+            this.saveState();
+        }
+    }
+
+    // Falls back to All when the Changed or Suggested tab has nothing left to show
+    ensureFilterAvailable() {
+        const unavailable = (this.state.filter === 'CHANGED' && !this.comparison) ||
+            (this.state.filter === 'SUGGESTED' && Object.keys(this.suggestions).length === 0);
+        if (!unavailable) return;
+
+        this.state.filter = 'ALL';
+        this.filterTabs.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t.dataset.filter === 'ALL'));
+    }
+
+    getComparisonEntry(wrin) {
+        return this.comparison ? this.comparison.items[wrin] : null;
+    }
+
+    describeReport(reportMeta) {
+        const meta = reportMeta || {};
+        return [meta.reportDate || 'Undated report', meta.storeName || (meta.storeNumber ? `Store #${meta.storeNumber}` : null)]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    renderComparison() {
+        // Options: every other saved session, newest first
+        this.compareSelect.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No comparison';
+        this.compareSelect.appendChild(none);
+
+        this.sessions.filter(s => s.id !== this.sessionId).forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = this.describeReport(session.reportMeta) + (session.id.includes('#') ? ' (copy)' : '');
+            this.compareSelect.appendChild(option);
+        });
+        this.compareSelect.value = this.state.compareWith || '';
+
+        this.changedTab.style.display = this.comparison ? '' : 'none';
+        this.compareRemovedList.innerHTML = '';
+
+        if (!this.comparison) {
+            this.comparePanel.classList.remove('active');
+            return;
+        }
+
+        const summary = this.comparison.summary;
+        this.compareSummary.textContent = `Since ${this.describeReport(this.comparison.reportMeta)}: ` +
+            `${summary.new} new, ${summary.changed} changed, ${summary.removed} removed`;
+
+        this.comparison.removed.forEach(item => {
+            const li = document.createElement('li');
+            li.className = 'compare-removed';
+            li.textContent = `${item.wrin} · ${item.name} (${item.storageType})`;
+            this.compareRemovedList.appendChild(li);
+        });
+
+        this.comparePanel.classList.add('active');
+    }
+
+    renderItemComparison(card, item) {
+        const entry = this.getComparisonEntry(item.wrin);
+        if (!entry) return;
+
+        const labels = { new: 'New', changed: 'Changed' };
+        if (labels[entry.change]) {
+            const badge = document.createElement('span');
+            badge.className = `compare-badge compare-${entry.change}`;
+            badge.textContent = labels[entry.change];
+            card.querySelector('.item-header').appendChild(badge);
+        }
+
+        const previous = entry.previous;
+        const decided = previous && previous.status && previous.status !== 'neutral';
+        if (entry.fields.length === 0 && !decided) return;
+
+        const block = document.createElement('div');
+        block.className = 'item-compare';
+
+        if (entry.fields.length > 0) {
+            const moved = document.createElement('div');
+            moved.className = 'compare-fields';
+            moved.textContent = entry.fields.map(f => `${f.label} ${f.from} → ${f.to}`).join(' · ');
+            block.appendChild(moved);
+        }
+
+        if (decided) {
+            const statusLabels = { accept: 'Accepted', increase: 'Increased', decrease: 'Decreased' };
+            const last = document.createElement('div');
+            last.className = 'compare-previous';
+            last.textContent = 'Last time: ' + [
+                statusLabels[previous.status] || previous.status,
+                previous.reason ? `(${previous.reason})` : null,
+                previous.comment ? `“${previous.comment}”` : null
+            ].filter(Boolean).join(' ');
+            block.appendChild(last);
+
+            const alreadySame = item.status === previous.status && (item.reason || '') === previous.reason;
+            if (!alreadySame && !item.opsSupply) {
+                const applyBtn = document.createElement('button');
+                applyBtn.className = 'btn-link';
+                applyBtn.textContent = 'Apply again';
+                applyBtn.addEventListener('click', () => this.applyPreviousDecision(item.wrin));
+                last.appendChild(document.createTextNode(' '));
+                last.appendChild(applyBtn);
+            }
+        }
+
+        card.querySelector('.item-details').after(block);
+    }
+
+    // Re-uses last report's decision and reason; the stock count is this week's, so it stays as entered
+    applyPreviousDecision(wrin) {
+        const entry = this.getComparisonEntry(wrin);
+        const item = this.items.find(i => i.wrin === wrin);
+        if (!entry || !entry.previous || !item || item.opsSupply) return;
+
+        const previous = entry.previous;
+        this.trackDecisions(`Apply last decision to ${item.name}`, [item], () => {
+            if (previous.status === 'accept') {
+                this.pdfParser.updateItemStatus(wrin, 'accept');
+            } else {
+                this.pdfParser.updateItemStatus(wrin, previous.status, item.actualStock, previous.reason, item.comment || previous.comment);
+            }
+        });
+
+        const card = this.itemsGrid.querySelector(`[data-wrin="${wrin}"]`);
+        if (card) card.replaceWith(this.createItemCard(item));
+        this.updateStats();
+        this.saveState();
+    }
+
+    // --- Usage Suggestions ---
+
+    // Earlier reports for this store from the session history (copies would count twice)
+    loadSuggestions() {
+        const storeKey = SessionStore.sessionKey(this.reportMeta).split('|')[0];
+        const history = this.sessions
+            .filter(s => s.id !== this.sessionId && !s.id.includes('#'))
+            .filter(s => SessionStore.sessionKey(s.reportMeta).split('|')[0] === storeKey)
+            .map(s => ({ reportDate: (s.reportMeta || {}).reportDate, items: s.items || [] }));
+
+        this.suggestions = suggestAdjustments(this.items, this.reportMeta.reportDate, history);
+
+        const count = Object.keys(this.suggestions).length;
+        this.suggestedTab.textContent = `Suggested (${count})`;
+        this.suggestedTab.style.display = count > 0 ? '' : 'none';
+        this.ensureFilterAvailable();
+    }
+
+    renderItemSuggestion(card, item) {
+        const suggestion = this.suggestions[item.wrin];
+        if (!suggestion || item.opsSupply) return;
+
+        const actionLabels = { increase: 'Likely increase', decrease: 'Likely decrease' };
+
+        const block = document.createElement('div');
+        block.className = `item-suggestion suggest-${suggestion.action}`;
+        block.innerHTML = `
+          <div class="suggestion-title">
+            💡 ${actionLabels[suggestion.action]}
+            <span class="suggestion-confidence confidence-${suggestion.confidence}">${suggestion.confidence} confidence</span>
+          </div>
+          <div class="suggestion-detail">
+            Uses about ${this.formatQty(suggestion.dailyUsage)} a day, so ${this.formatQty(suggestion.expectedUsage)} over the next
+            ${this.formatQty(suggestion.intervalDays)} days; ${this.formatQty(suggestion.available)} on hand, in transit and proposed
+            (order ~${suggestion.suggestedQty}). Based on ${suggestion.samples} earlier report${suggestion.samples === 1 ? '' : 's'}.
+          </div>
+        `;
+
+        // Nothing is changed until the manager confirms
+        if (item.status !== suggestion.action) {
+            const confirmBtn = document.createElement('button');
+            confirmBtn.className = 'btn-link';
+            confirmBtn.textContent = `Confirm ${suggestion.action}`;
+            confirmBtn.addEventListener('click', () => {
+                this.handleItemAction(item.wrin, suggestion.action, card);
+                confirmBtn.remove();
+            });
+            block.appendChild(confirmBtn);
+        }
+
+        card.querySelector('.item-actions').before(block);
+    }
+
     handleItemAction(wrin, action, card) {
+        const target = this.items.find(i => i.wrin === wrin);
+        if (target && target.opsSupply) return;
+
         const buttons = card.querySelectorAll('.btn');
         buttons.forEach(btn => btn.classList.remove('active'));
 
@@ -369,6 +1625,7 @@ class OrderingApp {
 
         card.className = 'item-card';
         card.classList.add(`status-${action}`);
+        card.classList.toggle('selected', this.selectedWrins.has(wrin));
 
         const stockInput = card.querySelector('.stock-input-container');
         if (action === 'increase' || action === 'decrease') {
@@ -377,27 +1634,216 @@ class OrderingApp {
             const input = card.querySelector(`#input-${wrin}`);
             const reasonSelect = card.querySelector(`#reason-${wrin}`);
 
-            const actualStock = parseFloat(input.value) || null;
+            const actualStock = this.readStockEntry(target, input.value).value;
             const reason = reasonSelect.value;
 
-            this.pdfParser.updateItemStatus(wrin, action, actualStock, reason);
+            this.trackDecisions(`${ACTION_LABELS[action]} ${target.name}`, [target], () => {
+                this.pdfParser.updateItemStatus(wrin, action, actualStock, reason);
+            });
         } else {
             stockInput.classList.remove('active');
-            this.pdfParser.updateItemStatus(wrin, action);
+            this.trackDecisions(`${ACTION_LABELS[action]} ${target.name}`, [target], () => {
+                this.pdfParser.updateItemStatus(wrin, action);
+                target.stockEntry = null; // The count went with it, so the typed entry does too
+            });
+        }
+
+        const item = this.items.find(i => i.wrin === wrin);
+        if (item) {
+            this.renderAdjustedQty(card, item);
+            this.renderItemIssues(card, item);
         }
 
         this.updateStats();
         this.saveState();
     }
 
+    // The Change Request Form doesn't take Ops Supplies, so their proposal stands as printed
+    lockItemCard(card) {
+        card.classList.add('locked');
+        card.querySelectorAll('.item-actions .btn').forEach(btn => btn.disabled = true);
+
+        const note = document.createElement('div');
+        note.className = 'locked-note';
+        note.textContent = '🔒 Ops Supplies can\'t be changed on the Change Request Form. The proposed qty stands.';
+        card.querySelector('.item-actions').before(note);
+    }
+
+    renderAdjustedQty(card, item) {
+        const el = card.querySelector('.adjusted-qty');
+        if (!el) return;
+
+        el.classList.remove('up', 'down');
+
+        if (!hasStock(item)) {
+            el.textContent = 'Enter stock on hand to see the new order quantity';
+            return;
+        }
+
+        const delta = item.adjustedQty - item.proposedQty;
+        const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+        el.textContent = `Order: ${this.formatQty(item.proposedQty)} → ${this.formatQty(item.adjustedQty)} (${sign}${this.formatQty(Math.abs(delta))})`;
+        if (delta > 0) el.classList.add('up');
+        if (delta < 0) el.classList.add('down');
+    }
+
+    // Warnings show as soon as they apply; errors wait until an export attempt flags the item
+    renderItemIssues(card, item) {
+        const list = card.querySelector('.item-issues');
+        if (!list) return;
+
+        list.innerHTML = '';
+        validateItem(item, this.validationRules, this.validationOptions())
+            .filter(issue => issue.level === 'warning' || !issue.deferred || this.state.validationMode)
+            .forEach(issue => {
+                const li = document.createElement('li');
+                li.className = `item-issue issue-${issue.level}`;
+                li.textContent = `${issue.level === 'error' ? '⛔' : '⚠️'} ${issue.message}`;
+                list.appendChild(li);
+            });
+    }
+
+    formatQty(value) {
+        return Number((value || 0).toFixed(2)).toString();
+    }
+
     updateStats() {
         const stats = this.pdfParser.getStats();
 
-        this.statAccepted.textContent = stats.accepted;
-        this.statIncreased.textContent = stats.increased;
-        this.statDecreased.textContent = stats.decreased;
+        this.statAccepted.textContent = stats.accept;
+        this.statIncreased.textContent = stats.increase;
+        this.statDecreased.textContent = stats.decrease;
+        this.statCartonsAdded.textContent = `+${this.formatQty(stats.cartonsAdded)}`;
+        this.statCartonsRemoved.textContent = `−${this.formatQty(stats.cartonsRemoved)}`;
 
         this.submitBtn.disabled = this.items.length === 0;
+        this.renderItemsCount();
+    }
+
+    renderItemsCount(renderList = this.getRenderList()) {
+        const unreviewed = renderList.filter(i => i.status === 'neutral').length;
+        this.itemsCount.textContent = `${renderList.length} items visible` + (unreviewed > 0 ? ` · ${unreviewed} unreviewed` : '');
+    }
+
+    // --- Undo / Redo ---
+
+    // Runs a change to some items' decisions and records it as one undo step
+    trackDecisions(label, items, change, { mergeKey = null, toast = true } = {}) {
+        const befores = {};
+        items.forEach(item => {
+            befores[item.wrin] = snapshotDecision(item);
+        });
+
+        change();
+
+        const entry = this.history.record(label, befores, items, mergeKey);
+        if (entry && toast) this.showUndoToast(entry.label, 'undo');
+    }
+
+    undoDecision() {
+        const entry = this.history.undo(this.items);
+        if (!entry) return;
+        this.refreshAfterHistory();
+        this.showUndoToast(`Undone: ${entry.label}`, 'redo');
+    }
+
+    redoDecision() {
+        const entry = this.history.redo(this.items);
+        if (!entry) return;
+        this.refreshAfterHistory();
+        this.showUndoToast(`Redone: ${entry.label}`, 'undo');
+    }
+
+    refreshAfterHistory() {
+        if (this.walk) {
+            this.renderCountWalk();
+        } else {
+            this.displayItems();
+        }
+        this.updateStats();
+        this.saveState();
+    }
+
+    showUndoToast(text, action) {
+        this.undoToastText.textContent = text;
+        this.undoToastBtn.dataset.action = action;
+        this.undoToastBtn.textContent = action === 'redo' ? 'Redo' : 'Undo';
+        this.undoToast.classList.add('active');
+
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => this.undoToast.classList.remove('active'), 6000);
+    }
+
+    hideUndoToast() {
+        clearTimeout(this.toastTimer);
+        this.undoToast.classList.remove('active');
+    }
+
+    // --- Bulk Actions ---
+
+    // Everything here works on what the search and tab show right now. Ops Supplies are locked, so they're left out.
+    runBulkAction(action) {
+        const visible = this.getRenderList().filter(item => !item.opsSupply);
+        const selected = visible.filter(item => this.selectedWrins.has(item.wrin));
+
+        switch (action) {
+            case 'accept-visible': {
+                const adjusted = visible.filter(item => item.status === 'increase' || item.status === 'decrease').length;
+                if (adjusted > 0 && !confirm(`${adjusted} of these items have an increase or decrease. Accept them all anyway?`)) return;
+                this.applyBulkStatus(visible, 'accept', `Accept ${visible.length} visible items`);
+                break;
+            }
+            case 'accept-untouched': {
+                const untouched = visible.filter(item => item.status === 'neutral');
+                this.applyBulkStatus(untouched, 'accept', `Accept ${untouched.length} untouched items`);
+                break;
+            }
+            case 'reset-visible': {
+                const reviewed = visible.filter(item => item.status !== 'neutral');
+                if (reviewed.length > 0 && !confirm(`Reset ${reviewed.length} item${reviewed.length === 1 ? '' : 's'} back to unreviewed? Stock counts and reasons are cleared; comments stay.`)) return;
+                this.applyBulkStatus(reviewed, 'neutral', `Reset ${reviewed.length} items`);
+                break;
+            }
+            case 'select-visible':
+                visible.forEach(item => this.selectedWrins.add(item.wrin));
+                this.displayItems();
+                break;
+            case 'accept-selected':
+                this.applyBulkStatus(selected, 'accept', `Accept ${selected.length} selected items`);
+                break;
+            case 'reset-selected': {
+                const reviewed = selected.filter(item => item.status !== 'neutral');
+                this.applyBulkStatus(reviewed, 'neutral', `Reset ${reviewed.length} selected items`);
+                break;
+            }
+            case 'clear-selection':
+                this.selectedWrins.clear();
+                this.displayItems();
+                break;
+        }
+    }
+
+    // One re-render, one stats update and one save for the whole batch
+    applyBulkStatus(items, status, label) {
+        if (items.length === 0) return;
+
+        this.trackDecisions(label, items, () => {
+            items.forEach(item => {
+                this.pdfParser.updateItemStatus(item.wrin, status);
+                item.stockEntry = null;
+            });
+        });
+
+        this.selectedWrins.clear();
+        this.displayItems();
+        this.updateStats();
+        this.saveState();
+    }
+
+    renderBulkSelection() {
+        const count = this.selectedWrins.size;
+        this.bulkSelection.classList.toggle('active', count > 0);
+        this.bulkSelectedCount.textContent = `${count} selected`;
     }
 
     async generateExcel() {
@@ -410,24 +1856,12 @@ class OrderingApp {
             }
 
             // --- Validation Logic ---
-            const invalidItems = [];
-            exportItems.forEach(item => {
-                const isMissingStock = item.actualStock === null || item.actualStock === undefined || isNaN(item.actualStock);
-
-                // If it's Increase/Decrease, it MUST have a stock
-                // If the stock input is invalid, add to error list
-                if (isMissingStock) {
-                    invalidItems.push(item.wrin);
-                    return; // Skip reason check if stock is missing (prioritize stock)
-                }
+            // Only errors stop the export; warnings are already on the cards
+            const { errors } = validateItems(exportItems, this.validationRules, this.validationOptions());
 
-                // If it's Increase/Decrease, it MUST have a reason
-                if (!item.reason || item.reason === '') {
-                    invalidItems.push(item.wrin);
-                }
-            });
+            if (errors.length > 0) {
+                const invalidItems = [...new Set(errors.map(e => e.wrin))];
 
-            if (invalidItems.length > 0) {
                 // Activate Fail-Safe Mode
                 this.toggleValidationMode(true, invalidItems);
 
@@ -438,18 +1872,134 @@ class OrderingApp {
 
             // --- Generation ---
             // const workbook = await this.excelGenerator.generateExcel(exportItems); // PREVIOUS LOGIC HAD DUPLICATE CALL
-            const workbook = await this.excelGenerator.generateExcel(exportItems);
-            await this.excelGenerator.downloadExcel(workbook);
+            const workbook = await this.excelGenerator.generateExcel(exportItems, this.reportMeta);
+            const { buffer, fileName } = await this.excelGenerator.writeExcel(workbook, this.reportMeta);
+            this.lastExport = { buffer, fileName, message: this.excelGenerator.buildShareMessage(exportItems, this.reportMeta) };
+            await this.deliverExport();
+
+            // Keep what was sent with the session so it can be downloaded again later
+            this.sessionStore.update(this.sessionId, { workbook: buffer, workbookName: fileName, exportedAt: Date.now() })
+                .catch(e => console.error('Error saving workbook to session:', e));
 
         } catch (error) {
             console.error('Error generating Excel:', error);
-            alert('Failed to generate Excel file. See console for details.');
+            alert(`Failed to generate Excel file: ${error.message}`);
 
             this.submitBtn.textContent = 'Generate Excel Spreadsheet';
             this.submitBtn.disabled = this.items.length === 0;
         }
     }
 
+    // Share sheet where the device has one (iPad: straight into Mail or Teams), download otherwise
+    async deliverExport() {
+        const { buffer, fileName, message } = this.lastExport;
+        const result = await this.excelGenerator.shareExcel(buffer, fileName, message);
+        if (result === 'unavailable') {
+            this.excelGenerator.downloadBuffer(buffer, fileName);
+        }
+        this.renderShareActions(result);
+    }
+
+    renderShareActions(result) {
+        if (!this.lastExport) {
+            this.shareActions.classList.remove('active');
+            return;
+        }
+
+        const { fileName } = this.lastExport;
+        const canShare = this.excelGenerator.canShareFiles(fileName);
+        this.shareStatus.textContent = {
+            shared: `Shared ${fileName}`,
+            cancelled: `${fileName} is ready to share`,
+            unavailable: `Downloaded ${fileName}`
+        }[result];
+
+        this.shareBtn.style.display = canShare ? '' : 'none';
+        // No share sheet on most desktops: offer a mail draft to attach the download to
+        this.emailDraftBtn.style.display = canShare ? 'none' : '';
+        this.shareActions.classList.add('active');
+    }
+
+    printSummary() {
+        this.renderPrintSummary();
+        window.print();
+    }
+
+    // Rebuilt from the items on every print so it never drifts from the cards
+    renderPrintSummary() {
+        const meta = this.reportMeta || {};
+        const stats = this.pdfParser.getStats();
+        const adjusted = this.pdfParser.getAdjustedItems();
+        const el = this.printSummaryEl;
+        el.innerHTML = '';
+
+        const add = (parent, tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined && text !== null) node.textContent = text;
+            parent.appendChild(node);
+            return node;
+        };
+
+        const header = add(el, 'header', 'print-header');
+        add(header, 'h1', null, [meta.storeNumber ? `Store #${meta.storeNumber}` : null, meta.storeName].filter(Boolean).join(' · ') || 'MB Sync Report');
+        add(header, 'p', 'print-subtitle', [
+            'Order review',
+            meta.reportDate ? `Report date: ${meta.reportDate}` : null,
+            meta.processedAt ? `Processed: ${meta.processedAt}` : null,
+            `Printed: ${new Date().toLocaleDateString()}`
+        ].filter(Boolean).join(' · '));
+
+        const totals = add(el, 'dl', 'print-totals');
+        [
+            ['Items', stats.total],
+            ['Accepted', stats.accept],
+            ['Increased', stats.increase],
+            ['Decreased', stats.decrease],
+            ['Cartons added', `+${this.formatQty(stats.cartonsAdded)}`],
+            ['Cartons removed', `−${this.formatQty(stats.cartonsRemoved)}`]
+        ].forEach(([label, value]) => {
+            const cell = add(totals, 'div');
+            add(cell, 'dt', null, label);
+            add(cell, 'dd', null, value);
+        });
+
+        if (adjusted.length === 0) {
+            add(el, 'p', 'print-empty', 'No changes to the order proposal.');
+        }
+
+        const areas = [...STORAGE_AREAS, ...new Set(adjusted.map(i => i.storageType).filter(t => !STORAGE_AREAS.includes(t)))];
+        areas.forEach(area => {
+            const group = adjusted.filter(i => i.storageType === area);
+            if (group.length === 0) return;
+
+            add(el, 'h2', 'print-area', `${area} (${group.length})`);
+            const table = add(el, 'table', 'print-table');
+            const head = add(add(table, 'thead'), 'tr');
+            ['WRIN', 'Description', 'Change', 'Proposed', 'Order', 'Stock on hand', 'Reason', 'Comment'].forEach(h => add(head, 'th', null, h));
+
+            const body = add(table, 'tbody');
+            group.forEach(item => {
+                const delta = item.adjustedQty - item.proposedQty;
+                const row = add(body, 'tr');
+                add(row, 'td', null, item.wrin);
+                add(row, 'td', null, item.name);
+                add(row, 'td', null, item.status === 'increase' ? 'Increase' : 'Decrease');
+                add(row, 'td', 'num', this.formatQty(item.proposedQty));
+                add(row, 'td', 'num', `${this.formatQty(item.adjustedQty)} (${delta > 0 ? '+' : ''}${this.formatQty(delta)})`);
+                add(row, 'td', 'num', item.actualStock === null || item.actualStock === undefined ? '' : this.formatQty(item.actualStock));
+                add(row, 'td', null, item.reason);
+                add(row, 'td', null, item.comment);
+            });
+        });
+
+        const signature = add(el, 'div', 'print-signature');
+        ['Manager name', 'Signature', 'Date'].forEach(label => {
+            const field = add(signature, 'div', 'print-signature-field');
+            add(field, 'span', null, label);
+        });
+    }
+
     showLoading() {
         this.loadingEl.classList.add('active');
     }
@@ -460,78 +2010,235 @@ class OrderingApp {
 
     showUploadZone() {
         this.uploadZone.style.display = 'block';
+        this.templateManager.style.display = 'block';
     }
 
     hideUploadZone() {
         this.uploadZone.style.display = 'none';
+        this.templateManager.style.display = 'none';
     }
 
     // --- Auto-Save Logic ---
 
-    checkForSavedSession() {
+    formatTimestamp(timestamp) {
+        const date = new Date(timestamp);
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + ' ' + date.toLocaleDateString();
+    }
+
+    async checkForSavedSession() {
+        try {
+            await this.migrateLegacySession();
+            await this.refreshSessions();
+        } catch (e) {
+            console.error('Error reading saved sessions', e);
+        }
+    }
+
+    // Sessions used to live in a single localStorage slot; move that one into the history
+    async migrateLegacySession() {
         const savedData = localStorage.getItem('mbSync_data');
-        if (savedData) {
-            try {
-                const parsed = JSON.parse(savedData);
-                const date = new Date(parsed.timestamp);
-                this.resumeTimeEl.textContent = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) + ' ' + date.toLocaleDateString();
-                this.resumeBanner.style.display = 'block';
-            } catch (e) {
-                console.error('Error reading saved session', e);
-                this.clearState();
+        if (!savedData) return;
+
+        try {
+            const parsed = JSON.parse(savedData);
+            if (parsed.items && parsed.items.length > 0) {
+                const id = SessionStore.sessionKey(parsed.reportMeta, `saved@${Date.now()}`);
+                await this.sessionStore.update(id, {
+                    items: parsed.items,
+                    reportMeta: parsed.reportMeta || this.pdfParser.createReportMeta(),
+                    diagnostics: parsed.diagnostics || [],
+                    state: parsed.state || null
+                });
+            }
+        } catch (e) {
+            console.error('Error migrating saved session', e);
+        }
+        localStorage.removeItem('mbSync_data');
+    }
+
+    async refreshSessions() {
+        this.sessions = await this.sessionStore.list();
+        this.renderSessions();
+    }
+
+    renderSessions() {
+        this.sessionList.innerHTML = '';
+
+        // The list only shows on the upload screen, never over an open session
+        if (this.sessions.length === 0 || this.items.length > 0) {
+            this.sessionsPanel.classList.remove('active');
+            return;
+        }
+
+        this.sessions.forEach(session => {
+            const meta = session.reportMeta || {};
+            const items = session.items || [];
+            const changes = items.filter(i => i.status === 'increase' || i.status === 'decrease').length;
+
+            const title = [meta.storeNumber ? `Store #${meta.storeNumber}` : null, meta.storeName]
+                .filter(Boolean)
+                .join(' · ') || 'MB Sync Report';
+
+            const details = [
+                meta.reportDate ? `Report date: ${meta.reportDate}` : 'No report date',
+                `${changes} change${changes === 1 ? '' : 's'} of ${items.length} items`,
+                `Saved ${this.formatTimestamp(session.updatedAt)}`,
+                session.exportedAt ? `Exported ${this.formatTimestamp(session.exportedAt)}` : null
+            ].filter(Boolean).join(' · ');
+
+            const li = document.createElement('li');
+            li.className = 'session-row';
+            li.innerHTML = `
+          <div class="session-info">
+            <span class="session-title"></span>
+            <span class="session-detail"></span>
+          </div>
+          <div class="session-actions"></div>
+        `;
+            li.querySelector('.session-title').textContent = session.id.includes('#') ? `${title} (copy)` : title;
+            li.querySelector('.session-detail').textContent = details;
+
+            const actions = li.querySelector('.session-actions');
+            const addAction = (label, className, handler) => {
+                const btn = document.createElement('button');
+                btn.className = className;
+                btn.textContent = label;
+                btn.addEventListener('click', handler);
+                actions.appendChild(btn);
+            };
+
+            addAction('Open', 'btn-resume', () => this.openSession(session.id));
+            addAction('Duplicate', 'btn-discard', () => this.duplicateSession(session.id));
+            if (session.workbook) {
+                addAction('Download xlsx', 'btn-discard', () => {
+                    this.excelGenerator.downloadBuffer(session.workbook, session.workbookName);
+                });
             }
+            addAction('Delete', 'btn-discard', () => this.deleteSession(session.id));
+
+            this.sessionList.appendChild(li);
+        });
+
+        this.sessionsPanel.classList.add('active');
+    }
+
+    async duplicateSession(id) {
+        try {
+            await this.sessionStore.duplicate(id);
+            await this.refreshSessions();
+        } catch (e) {
+            console.error('Error duplicating session:', e);
+            alert('Failed to duplicate session.');
+        }
+    }
+
+    async deleteSession(id) {
+        if (!confirm('Delete this session? Its decisions and saved spreadsheet will be lost.')) return;
+
+        try {
+            await this.sessionStore.delete(id);
+            await this.refreshSessions();
+        } catch (e) {
+            console.error('Error deleting session:', e);
+            alert('Failed to delete session.');
         }
     }
 
     saveState() {
-        if (this.items.length === 0) return;
+        if (this.items.length === 0 || !this.sessionId) return;
 
         const data = {
-            timestamp: Date.now(),
             items: this.items,
-            state: this.state
+            reportMeta: this.reportMeta,
+            diagnostics: this.diagnostics,
+            state: this.state,
+            history: this.history.toJSON()
         };
-        localStorage.setItem('mbSync_data', JSON.stringify(data));
+        this.sessionStore.update(this.sessionId, data)
+            .catch(e => console.error('Error saving session:', e));
     }
 
-    loadState() {
+    async openSession(id) {
         try {
-            const savedData = localStorage.getItem('mbSync_data');
-            if (!savedData) return;
+            const session = await this.sessionStore.get(id);
+            if (!session) return;
 
-            const parsed = JSON.parse(savedData);
-            this.items = parsed.items;
-            this.state = parsed.state || this.state;
+            this.sessionId = id;
+            this.items = session.items;
+            this.state = Object.assign(this.state, { compareWith: null, walkIndex: 0, sort: 'report', statusFilter: 'all' }, session.state || {}, { validationMode: false, validationErrors: [] });
+            this.reportMeta = session.reportMeta || this.pdfParser.createReportMeta();
+            this.pdfParser.reportMeta = this.reportMeta;
+            this.diagnostics = session.diagnostics || [];
+            this.history = DecisionHistory.from(session.history);
+
+            // Restore PDF Parser items reference since it's used for stats calculation
+            this.pdfParser.items = this.items;
+            this.classifyOpsSupplies(); // The list may have changed since this session was saved
+
+            this.searchInput.value = this.state.search || '';
+            this.clearSearchBtn.style.display = this.state.search ? 'block' : 'none';
+            this.filterTabs.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t.dataset.filter === this.state.filter));
+            this.sortSelect.value = this.state.sort || 'report';
+            this.statusFilterSelect.value = this.state.statusFilter || 'all';
 
-            this.resumeBanner.style.display = 'none';
+            this.sessionsPanel.classList.remove('active');
             this.hideUploadZone();
+            this.renderReportMeta();
+            await this.loadComparison();
+            this.loadSuggestions();
             this.displayItems();
             this.updateStats();
-
-            // Restore PDF Parser items reference since it's used for stats calculation
-            this.pdfParser.items = this.items;
+            this.renderDiagnostics();
+            this.flagRetiredReasons();
 
         } catch (e) {
-            console.error('Error loading state:', e);
+            console.error('Error loading session:', e);
             alert('Failed to load saved session.');
             this.clearState();
         }
     }
 
+    // Closes the open session; it stays in the history
     clearState() {
-        localStorage.removeItem('mbSync_data');
+        this.sessionId = null;
         this.items = [];
         this.pdfParser.items = [];
+        this.reportMeta = this.pdfParser.createReportMeta();
+        this.reportMetaEl.classList.remove('active');
+        this.diagnostics = [];
+        this.diagnosticsPanel.classList.remove('active');
+        this.state.compareWith = null;
+        this.comparison = null;
+        this.renderComparison();
+        this.lastExport = null;
+        this.renderShareActions();
+        this.walk = null;
+        this.countWalkEl.classList.remove('active');
+        this.state.walkIndex = 0;
+        this.selectedWrins.clear();
+        this.history = new DecisionHistory();
+        this.hideUndoToast();
+        this.suggestions = {};
+        this.suggestedTab.style.display = 'none';
+        if (this.state.validationMode) this.toggleValidationMode(false);
         this.showUploadZone();
         this.itemsContainer.classList.remove('active');
         this.summaryStats.classList.remove('active');
         this.submitContainer.classList.remove('active');
         this.controlsContainer.style.display = 'none';
+
+        this.refreshSessions().catch(e => console.error('Error reading saved sessions', e));
     }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'lib/vendor/pdf.worker.min.js';
+
+    // Caches the app for back-of-house areas without Wi-Fi (see sw.js)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(e => console.error('Service worker registration failed:', e));
+    }
 
     window.app = new OrderingApp();
 });
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// MB Sync CLI
+// Batch version of the web app: reads an MB Sync PDF plus a list of adjustments and
+// writes the filled-in Change Request Form, using the same parser and generator modules.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { PDFParser } = require('../lib/pdf-parser');
+const { ExcelGenerator } = require('../lib/excel-gen');
+const { parseCSV } = require('../lib/csv');
+const { validateItems } = require('../lib/validation');
+const { readOpsSuppliesList } = require('../lib/ops-supplies');
+const { wrinKey } = require('../lib/report-compare');
+
+const DEFAULT_TEMPLATE = path.join(__dirname, '..', 'MB Change Request Form.xlsx');
+
+const USAGE = `Usage: mbsync <report.pdf> <adjustments.json|csv> [options]
+
+Adjustments list one item per row with WRIN, status (increase / decrease / accept),
+stock on hand (cartons), reason and an optional comment. CSV needs a header row;
+JSON is an array of objects.
+
+Options:
+  -o, --output <file>     Where to write the xlsx (default: MB_Change_Request_<date>.xlsx)
+  -t, --template <file>   Change Request Form template (default: bundled form)
+  --ops-supplies <file>   WRINs to treat as Ops Supplies: a CSV with a WRIN column, or one per line
+  -v, --verbose           Show parser and generator logging
+  -h, --help              Show this help`;
+
+// Header spellings we accept for each adjustment field, compared lower-case with punctuation stripped
+const FIELD_ALIASES = {
+    wrin: ['wrin', 'wrinnumber'],
+    status: ['status', 'type', 'reductiontype', 'action'],
+    stock: ['stock', 'stockonhand', 'soh', 'actualstock'],
+    reason: ['reason', 'reasonforchange', 'selectreasonforchange'],
+    comment: ['comment', 'comments', 'note', 'notes']
+};
+
+function normalizeRecord(record) {
+    const normalized = {};
+    Object.entries(record).forEach(([key, value]) => {
+        const cleanKey = key.toLowerCase().replace(/[^a-z]/g, '');
+        const field = Object.keys(FIELD_ALIASES).find(f => FIELD_ALIASES[f].includes(cleanKey));
+        if (field) normalized[field] = value;
+    });
+    return normalized;
+}
+
+function readAdjustments(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const records = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseCSV(text);
+
+    if (!Array.isArray(records)) {
+        throw new Error(`${file} must contain a list of adjustments`);
+    }
+    return records.map(normalizeRecord);
+}
+
+function applyAdjustments(parser, adjustments) {
+    const problems = [];
+    const items = parser.getItems();
+
+    adjustments.forEach((adj, index) => {
+        const rowLabel = `Row ${index + 1}${adj.wrin ? ` (WRIN ${adj.wrin})` : ''}`;
+        const status = String(adj.status || '').trim().toLowerCase();
+
+        // WRINs in the report can carry leading zeros that spreadsheets drop
+        const wrin = String(adj.wrin || '').trim();
+        const item = items.find(i => wrinKey(i.wrin) === wrinKey(wrin));
+
+        if (!item) {
+            problems.push(`${rowLabel}: WRIN not found in the report`);
+            return;
+        }
+        if (!['increase', 'decrease', 'accept'].includes(status)) {
+            problems.push(`${rowLabel}: status must be increase, decrease or accept`);
+            return;
+        }
+        if (status === 'accept') {
+            parser.updateItemStatus(item.wrin, status);
+            return;
+        }
+        if (item.opsSupply) {
+            problems.push(`${rowLabel}: Ops Supplies can't be changed on the Change Request Form`);
+            return;
+        }
+
+        const stockText = String(adj.stock === undefined || adj.stock === null ? '' : adj.stock).trim();
+        const stock = stockText === '' ? NaN : Number(stockText);
+        if (isNaN(stock)) {
+            problems.push(`${rowLabel}: stock on hand is required to ${status} an item`);
+            return;
+        }
+        if (!adj.reason) {
+            problems.push(`${rowLabel}: reason is required to ${status} an item`);
+            return;
+        }
+
+        const comment = adj.comment ? String(adj.comment).trim() : '';
+        parser.updateItemStatus(item.wrin, status, stock, String(adj.reason).trim(), comment);
+    });
+
+    return problems;
+}
+
+async function run(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            template: { type: 'string', short: 't' },
+            'ops-supplies': { type: 'string' },
+            verbose: { type: 'boolean', short: 'v' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help || positionals.length !== 2) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    const [pdfPath, adjustmentsPath] = positionals;
+    const log = console.log;
+
+    // The parser and generator narrate every step for the browser console; keep the CLI quiet
+    const logger = values.verbose ? console : { log() {}, warn() {}, error: console.error };
+
+    const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+    const ExcelJS = require('exceljs');
+
+    let opsSupplyWrins;
+    if (values['ops-supplies']) {
+        const { wrins, problems } = readOpsSuppliesList(fs.readFileSync(values['ops-supplies'], 'utf8'));
+        if (problems.length > 0) {
+            problems.forEach(p => console.error(p));
+            console.error(`${problems.length} Ops Supplies entry(s) could not be read, nothing written.`);
+            return 1;
+        }
+        opsSupplyWrins = wrins;
+    }
+
+    const parser = new PDFParser({ pdfjsLib, logger, opsSupplyWrins });
+    const pdfBuffer = fs.readFileSync(pdfPath);
+    await parser.parsePDF({
+        arrayBuffer: async () => pdfBuffer.buffer.slice(pdfBuffer.byteOffset, pdfBuffer.byteOffset + pdfBuffer.byteLength)
+    });
+    log(`Read ${parser.getItems().length} items from ${path.basename(pdfPath)}`);
+
+    parser.getDiagnostics().forEach(d => {
+        log(`  warning: ${d.message}${d.lineNumber ? ` (line ${d.lineNumber})` : ''}`);
+    });
+
+    const problems = applyAdjustments(parser, readAdjustments(adjustmentsPath));
+    if (problems.length > 0) {
+        problems.forEach(p => console.error(p));
+        console.error(`${problems.length} adjustment(s) could not be applied, nothing written.`);
+        return 1;
+    }
+
+    const adjustedItems = parser.getAdjustedItems();
+    if (adjustedItems.length === 0) {
+        console.error('No items to export. At least one adjustment must be an increase or decrease.');
+        return 1;
+    }
+
+    const templateData = fs.readFileSync(values.template || DEFAULT_TEMPLATE).toString('base64');
+    const generator = new ExcelGenerator({ ExcelJS, templateData, logger });
+    const { reasons } = await generator.readTemplateOptions();
+
+    // Same export rules as the web app: warnings are reported, errors stop the export
+    const { errors, warnings } = validateItems(adjustedItems, undefined, { allowedReasons: reasons.length > 0 ? reasons : null });
+    warnings.forEach(w => log(`  warning: WRIN ${w.wrin}: ${w.message}`));
+    if (errors.length > 0) {
+        errors.forEach(e => console.error(`WRIN ${e.wrin}: ${e.message}`));
+        console.error(`${errors.length} adjustment(s) failed validation, nothing written.`);
+        return 1;
+    }
+
+    const workbook = await generator.generateExcel(adjustedItems, parser.getReportMeta());
+
+    const date = new Date().toISOString().split('T')[0];
+    const outputPath = values.output || `MB_Change_Request_${date}.xlsx`;
+    await workbook.xlsx.writeFile(outputPath);
+
+    log(`Wrote ${adjustedItems.length} change(s) to ${outputPath}`);
+    return 0;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(err => {
+            console.error(err.message || err);
+            process.exit(1);
+        });
+}
+
+module.exports = { run, readAdjustments, applyAdjustments };
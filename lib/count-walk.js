@@ -0,0 +1,50 @@
+// Count walk: one item at a time, storage area by storage area, in the order a manager
+// walks the back of house. Counts are cartons, same as the Stock On Hand on the cards.
+
+const STORAGE_AREAS = ['Dry', 'Refrigerated', 'Frozen', 'Manual Items'];
+
+const isCounted = typeof hasStock !== 'undefined' ? hasStock : require('./validation').hasStock;
+
+// The four areas first, then anything else the report printed, in report order within each.
+// Ops Supplies are left out: their quantities can't be changed on the form anyway.
+function buildCountWalk(items) {
+    const countable = items.filter(item => !item.opsSupply);
+    const extraAreas = [...new Set(countable.map(i => i.storageType).filter(t => !STORAGE_AREAS.includes(t)))];
+
+    const walk = [];
+    [...STORAGE_AREAS, ...extraAreas].forEach(area => {
+        countable.filter(i => i.storageType === area).forEach(item => walk.push({ wrin: item.wrin, area }));
+    });
+    return walk;
+}
+
+function countWalkProgress(items, walk) {
+    const byWrin = new Map(items.map(item => [item.wrin, item]));
+    const areas = [];
+
+    walk.forEach(step => {
+        let entry = areas.find(a => a.area === step.area);
+        if (!entry) {
+            entry = { area: step.area, total: 0, counted: 0 };
+            areas.push(entry);
+        }
+        entry.total++;
+        if (isCounted(byWrin.get(step.wrin) || {})) entry.counted++;
+    });
+
+    return areas;
+}
+
+// Less on hand than the report thought means the proposal is short, and the other way round
+function classifyCount(item) {
+    if (!isCounted(item)) return null;
+
+    const counted = Number(item.actualStock);
+    const reported = item.stock || 0;
+    if (Math.abs(counted - reported) < 0.005) return 'accept';
+    return counted < reported ? 'increase' : 'decrease';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STORAGE_AREAS, buildCountWalk, countWalkProgress, classifyCount };
+}
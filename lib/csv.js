@@ -0,0 +1,74 @@
+// Minimal CSV reader: quoted fields, doubled quotes, commas and newlines inside quotes.
+// Returns one object per data row, keyed by the header row as written.
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        headers.forEach((header, i) => {
+            record[header] = (values[i] || '').trim();
+        });
+        return record;
+    });
+}
+
+// The other way round: one line per record, values quoted only when they need it
+function formatCSV(records, headers) {
+    const quote = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [headers.map(quote).join(',')];
+    records.forEach(record => lines.push(headers.map(h => quote(record[h])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseCSV, formatCSV };
+}
@@ -0,0 +1,106 @@
+// Undo/redo for item decisions. Each entry holds the before and after of every item it touched,
+// so a bulk action undoes in one step. Entries are plain data so the history saves with the session.
+
+const DECISION_FIELDS = ['status', 'actualStock', 'adjustedQty', 'reason', 'comment', 'stockEntry'];
+
+// Typing in a stock field is one edit, not one per keystroke
+const MERGE_WINDOW_MS = 5000;
+
+function snapshotDecision(item) {
+    const snapshot = {};
+    DECISION_FIELDS.forEach(field => {
+        snapshot[field] = item[field] === undefined ? null : item[field];
+    });
+    return snapshot;
+}
+
+const sameDecision = (a, b) => DECISION_FIELDS.every(field => a[field] === b[field]);
+
+class DecisionHistory {
+    constructor({ undo = [], redo = [], limit = 100 } = {}) {
+        this.undoStack = undo;
+        this.redoStack = redo;
+        this.limit = limit;
+    }
+
+    static from(data) {
+        return new DecisionHistory(data || {});
+    }
+
+    toJSON() {
+        return { undo: this.undoStack, redo: this.redoStack };
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // befores: { [wrin]: snapshot } taken before the change; items: the items after it.
+    // Returns the entry, or null when nothing actually changed.
+    record(label, befores, items, mergeKey = null) {
+        const changes = [];
+        items.forEach(item => {
+            const before = befores[item.wrin];
+            if (!before) return;
+            const after = snapshotDecision(item);
+            if (!sameDecision(before, after)) changes.push({ wrin: item.wrin, before, after });
+        });
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+        if (mergeKey && last && last.mergeKey === mergeKey && now - last.at < MERGE_WINDOW_MS && this.redoStack.length === 0) {
+            // Keep the oldest before, take the newest after
+            changes.forEach(change => {
+                const existing = last.changes.find(c => c.wrin === change.wrin);
+                if (existing) {
+                    existing.after = change.after;
+                } else {
+                    last.changes.push(change);
+                }
+            });
+            last.changes = last.changes.filter(c => !sameDecision(c.before, c.after));
+            last.at = now;
+            if (last.changes.length === 0) this.undoStack.pop();
+            return last.changes.length > 0 ? last : null;
+        }
+
+        if (changes.length === 0) return null;
+
+        const entry = { label, changes, mergeKey, at: now };
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        return entry;
+    }
+
+    undo(items) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.apply(items, entry, 'before');
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    redo(items) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.apply(items, entry, 'after');
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    apply(items, entry, side) {
+        entry.changes.forEach(change => {
+            const item = items.find(i => i.wrin === change.wrin);
+            if (item) Object.assign(item, change[side]);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DecisionHistory, snapshotDecision, DECISION_FIELDS };
+}
@@ -1,138 +1,107 @@
+const toCSV = typeof formatCSV !== 'undefined' ? formatCSV : require('./csv').formatCSV;
+const TemplateZip = typeof JSZip !== 'undefined' ? JSZip : require('jszip');
+
+// Columns of the CSV export, in order. The stock, status, reason and comment headers are
+// ones the CLI reads back as adjustments, so unreviewed items go out as accepted, the same
+// way they're left as proposed on the form.
+const EXPORT_COLUMNS = [
+    { header: 'Store Number', value: (item, meta) => meta.storeNumber },
+    { header: 'Store Name', value: (item, meta) => meta.storeName },
+    { header: 'Report Date', value: (item, meta) => meta.reportDate },
+    { header: 'Processed', value: (item, meta) => meta.processedAt },
+    { header: 'User', value: (item, meta) => meta.user },
+    { header: 'WRIN', value: (item) => item.wrin },
+    { header: 'Name', value: (item) => item.name },
+    { header: 'Storage Type', value: (item) => item.storageType },
+    { header: 'Proposed Qty', value: (item) => item.proposedQty },
+    { header: 'RSP', value: (item) => item.stock },
+    { header: 'Transit', value: (item) => item.transit },
+    { header: 'Status', value: (item) => item.status === 'neutral' ? 'accept' : item.status },
+    { header: 'Stock On Hand', value: (item) => item.actualStock },
+    { header: 'Adjusted Qty', value: (item) => item.adjustedQty },
+    { header: 'Reason', value: (item) => item.reason },
+    { header: 'Comment', value: (item) => item.comment }
+];
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const SESSION_EXPORT_FORMAT = 'mbsync-session';
+const SESSION_EXPORT_VERSION = 1;
+const SESSION_STATUSES = ['neutral', 'accept', 'increase', 'decrease'];
+const SESSION_TEXT_FIELDS = ['storageType', 'section', 'reason', 'comment', 'stockEntry'];
+const SESSION_NUMBER_FIELDS = ['actualStock', 'adjustedQty', 'lineIndex'];
+const ITEM_COLUMNS = typeof REPORT_COLUMNS !== 'undefined' ? REPORT_COLUMNS : require('./pdf-parser').REPORT_COLUMNS;
+
 class ExcelGenerator {
-    constructor() {
-        if (typeof ExcelJS === 'undefined') {
-            console.error('ExcelJS library is missing');
+    constructor(options = {}) {
+        // In the browser ExcelJS and the template are globals from script tags; Node passes them in
+        this.ExcelJS = options.ExcelJS || (typeof ExcelJS !== 'undefined' ? ExcelJS : null);
+        this.templateData = options.templateData || null;
+        // Anything with log/warn/error; the CLI and tests pass a quieter one than the console
+        this.logger = options.logger || console;
+
+        if (!this.ExcelJS) {
+            this.logger.error('ExcelJS library is missing');
         }
     }
 
-    async generateExcel(items) {
-        console.log('Generating Excel with items:', items);
-        if (!window.TEMPLATE_DATA) {
-            throw new Error("Template data not loaded. Please ensure lib/template-data.js is generated and linked.");
+    getTemplateData() {
+        if (this.templateData) return this.templateData;
+        return typeof window !== 'undefined' ? window.TEMPLATE_DATA : null;
+    }
+
+    async generateExcel(items, reportMeta = null) {
+        this.logger.log('Generating Excel with items:', items);
+
+        // The form itself says Ops Supplies can't be changed through it
+        const opsSupplies = items.filter(item => item.opsSupply);
+        if (opsSupplies.length > 0) {
+            throw new Error(`Changes to QTYs of Ops Supplies are not permitted in this form (WRIN ${opsSupplies.map(i => i.wrin).join(', ')})`);
         }
 
         try {
-            console.log('Loading workbook...');
-            const workbook = new ExcelJS.Workbook();
-            const buffer = this.base64ToArrayBuffer(window.TEMPLATE_DATA);
-            await workbook.xlsx.load(buffer);
-            console.log('Workbook loaded');
+            const { workbook, worksheet, buffer } = await this.loadTemplate();
+
+            const { anchorRow, startRow, colMap } = this.findTable(worksheet);
 
-            const worksheet = workbook.getWorksheet('Change Request Form');
-            if (!worksheet) {
-                console.error('Worksheets available:', workbook.worksheets.map(ws => ws.name));
-                throw new Error("Sheet 'Change Request Form' not found in the template.");
+            if (!startRow) {
+                throw new Error(anchorRow
+                    ? 'The template has no WRIN header row after "Submit this form", so there is nowhere to write the items.'
+                    : 'The template is missing the "Submit this form" text that marks the request table.');
             }
-            console.log('Worksheet found:', worksheet.name);
 
-            const getCellText = (cell) => {
-                if (!cell || !cell.value) return '';
-                if (cell.value.richText) {
-                    return cell.value.richText.map(t => t.text).join('');
-                }
-                return cell.value.toString();
-            };
-
-            let startRow = null;
-            let colMap = {
-                wrin: null,
-                name: null,
-                type: null,
-                stock: null,
-                reason: null
-            };
-
-            let foundAnchor = false;
-
-            worksheet.eachRow((row, rowNumber) => {
-                if (!foundAnchor) {
-                    const rowValues = row.values;
-                    if (Array.isArray(rowValues)) {
-                        const match = rowValues.some(val =>
-                            val && val.toString().toLowerCase().includes('submit this form')
-                        );
-                        if (match) {
-                            console.log('Found Anchor "Submit this form" at row:', rowNumber);
-                            foundAnchor = true;
-                        }
-                    }
-                    return;
-                }
+            if (!colMap.name) colMap.name = colMap.wrin + 1;
+            if (!colMap.type) colMap.type = colMap.wrin + 2;
+            if (!colMap.stock) colMap.stock = colMap.wrin + 3;
+            if (!colMap.reason) colMap.reason = colMap.wrin + 4;
+            if (!colMap.comment) colMap.comment = colMap.reason + 1;
+            this.logger.log('Final Column Mapping:', colMap);
 
-                if (foundAnchor && !startRow) {
-                    let foundHeader = false;
-                    row.eachCell((cell, colNumber) => {
-                        const val = getCellText(cell).toUpperCase();
-                        if (val.includes('WRIN')) {
-                            colMap.wrin = colNumber;
-                            foundHeader = true;
-                        } else if (val.includes('DESCRIPTION')) {
-                            colMap.name = colNumber;
-                        } else if (val.includes('REDUCTION') || val.includes('TYPE')) {
-                            colMap.type = colNumber;
-                        } else if (val.includes('STOCK')) {
-                            colMap.stock = colNumber;
-                        } else if (val.includes('REASON')) {
-                            colMap.reason = colNumber;
-                        }
-                    });
-
-                    if (foundHeader) {
-                        startRow = rowNumber + 1;
-                        console.log('Found Target Header row at:', rowNumber);
-                        console.log('Column Mapping AFTER Anchor:', colMap);
-                    }
-                }
-            });
+            this.restoreConditionalFormatting(worksheet, await this.readX14Rules(buffer));
 
-            if (worksheet.conditionalFormattings) {
-                console.log('Removing conditional formatting rules:', worksheet.conditionalFormattings.length);
-                worksheet.conditionalFormattings = [];
-            } else {
-                console.log('No conditional formatting found on worksheet object, checking different property...');
-                if (worksheet.conditionalFormatting) {
-                    worksheet.conditionalFormatting = [];
-                }
-            }
+            const table = this.findTableExtent(worksheet, startRow);
+            this.logger.log('Template table:', table);
 
-            if (!startRow) {
-                console.error('Critical: Target table not found after anchor!');
-                startRow = 32;
-                colMap = { wrin: 2, name: 3, type: 4, stock: 5, reason: 6 };
-                console.log('Using fallback startRow:', startRow, colMap);
+            // More changes than the form has rows: push the footer down and add rows that look the same
+            if (table.endRow !== null && items.length > table.endRow - startRow + 1) {
+                this.insertTableRows(worksheet, table, items.length - (table.endRow - startRow + 1));
             }
 
-            if (colMap.wrin) {
-                if (!colMap.name) colMap.name = colMap.wrin + 1;
-                if (!colMap.type) colMap.type = colMap.wrin + 2;
-                if (!colMap.stock) colMap.stock = colMap.wrin + 3;
-                if (!colMap.reason) colMap.reason = colMap.wrin + 4;
-            } else {
-                if (!colMap.wrin) colMap.wrin = 1;
-                if (!colMap.name) colMap.name = 2;
-                if (!colMap.type) colMap.type = 3;
-                if (!colMap.stock) colMap.stock = 4;
-                if (!colMap.reason) colMap.reason = 5;
-            }
-            console.log('Final Column Mapping:', colMap);
-
-            console.log('Clearing 100 rows starting from:', startRow);
-            for (let i = 0; i < 100; i++) {
-                const row = worksheet.getRow(startRow + i);
-                if (row) {
-                    for (let col = 1; col <= 10; col++) {
-                        row.getCell(col).value = null;
-                    }
-                    row.commit();
+            // Only the table's own cells are cleared; the Total row, footer and side panels stay put
+            const lastRow = table.endRow !== null ? table.endRow : startRow + items.length - 1;
+            this.logger.log(`Clearing rows ${startRow}-${lastRow}`);
+            for (let row = startRow; row <= lastRow; row++) {
+                for (let col = table.firstCol; col <= table.lastCol; col++) {
+                    worksheet.getRow(row).getCell(col).value = null;
                 }
             }
 
-            console.log('Writing data starting at row:', startRow);
+            this.logger.log('Writing data starting at row:', startRow);
             items.forEach((item, index) => {
                 const currentRow = startRow + index;
                 const row = worksheet.getRow(currentRow);
 
-                console.log(`Writing row ${currentRow}:`, item);
+                this.logger.log(`Writing row ${currentRow}:`, item);
 
                 if (colMap.wrin) row.getCell(colMap.wrin).value = parseInt(item.wrin) || item.wrin;
                 if (colMap.name) row.getCell(colMap.name).value = item.name || '';
@@ -145,45 +114,666 @@ class ExcelGenerator {
 
                 if (colMap.reason) row.getCell(colMap.reason).value = item.reason || '';
 
+                if (colMap.comment) row.getCell(colMap.comment).value = item.comment || '';
+
             });
-            console.log('Data written successfully');
+            this.logger.log('Data written successfully');
+
+            if (reportMeta) {
+                this.fillReportDetails(worksheet, reportMeta);
+            }
 
             return workbook;
         } catch (error) {
-            console.error('Error inside generateExcel:', error);
+            this.logger.error('Error inside generateExcel:', error);
             throw error;
         }
     }
 
-    async downloadExcel(workbook) {
+    // Data rows run from the header to the first row below it with anything in the table's
+    // columns (the Total row on the standard form); the rows after that are the footer.
+    findTableExtent(worksheet, startRow) {
+        const headerCols = [];
+        worksheet.getRow(startRow - 1).eachCell((cell, colNumber) => {
+            if (this.getCellText(cell).trim()) headerCols.push(colNumber);
+        });
+        const firstCol = Math.min(...headerCols);
+        const lastCol = Math.max(...headerCols);
+
+        let endRow = null;
+        let footerEnd = null;
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber < startRow) return;
+
+            for (let col = firstCol; col <= lastCol; col++) {
+                if (row.getCell(col).value !== null && row.getCell(col).value !== undefined) {
+                    if (endRow === null) endRow = rowNumber - 1;
+                    footerEnd = rowNumber;
+                    return;
+                }
+            }
+        });
+
+        return { startRow, endRow, footerEnd, firstCol, lastCol };
+    }
+
+    insertTableRows(worksheet, table, count) {
+        const { endRow, footerEnd, firstCol, lastCol } = table;
+        this.logger.log(`Adding ${count} rows to the table after row ${endRow}`);
+
+        const copyStyle = (style) => JSON.parse(JSON.stringify(style || {}));
+
+        // Merged footer cells (contact line, version line) have to be lifted before they can move
+        const footerMerges = Object.values(worksheet._merges)
+            .map(merge => merge.model)
+            .filter(m => m.top > endRow && m.left >= firstCol && m.right <= lastCol);
+        footerMerges.forEach(m => worksheet.unMergeCells(m.top, m.left, m.bottom, m.right));
+
+        // Bottom up, so nothing is overwritten before it has moved
+        for (let row = footerEnd; row > endRow; row--) {
+            const from = worksheet.getRow(row);
+            const to = worksheet.getRow(row + count);
+            to.height = from.height;
+
+            for (let col = firstCol; col <= lastCol; col++) {
+                const source = from.getCell(col);
+                const target = to.getCell(col);
+                target.value = this.shiftFormula(source.value, endRow, count);
+                target.style = copyStyle(source.style);
+
+                const validation = source.dataValidation;
+                if (validation) {
+                    target.dataValidation = validation;
+                    worksheet.dataValidations.remove(source.address);
+                }
+                source.value = null;
+            }
+        }
+
+        footerMerges.forEach(m => worksheet.mergeCells(m.top + count, m.left, m.bottom + count, m.right));
+
+        // New rows copy the last data row: borders, fonts, height and dropdowns
+        const model = worksheet.getRow(endRow);
+        for (let row = endRow + 1; row <= endRow + count; row++) {
+            const target = worksheet.getRow(row);
+            target.height = model.height;
+
+            for (let col = firstCol; col <= lastCol; col++) {
+                const cell = target.getCell(col);
+                cell.style = copyStyle(model.getCell(col).style);
+
+                const validation = model.getCell(col).dataValidation;
+                if (validation) cell.dataValidation = JSON.parse(JSON.stringify(validation));
+            }
+        }
+
+        // Highlighting stretches with the table, including the side panel's rules that run past it
+        (worksheet.conditionalFormattings || []).forEach(cf => {
+            cf.ref = cf.ref.split(/\s+/).map(range => this.stretchRange(range, table, count)).join(' ');
+        });
+
+        table.endRow = endRow + count;
+        table.footerEnd = footerEnd + count;
+    }
+
+    // Moves references below the table down with the footer, and stretches ranges that end on
+    // its last row (the Total row's SUM(I32:I97)). References to other sheets are left alone.
+    shiftFormula(value, endRow, count) {
+        if (!value || typeof value !== 'object' || !value.formula) return value;
+
+        const formula = value.formula.replace(/(^|[^A-Za-z0-9_!$.'])(\$?[A-Z]{1,3}\$?)(\d+)(?![\d(A-Za-z_])/g, (match, before, column, row) => {
+            const rowNumber = parseInt(row, 10);
+            const endsRange = before === ':';
+            if (rowNumber > endRow || (endsRange && rowNumber === endRow)) {
+                return `${before}${column}${rowNumber + count}`;
+            }
+            return match;
+        });
+
+        return { formula };
+    }
+
+    // Ranges on the table's columns move like the footer does. Beside the table nothing moves,
+    // so a range there only grows when it already runs alongside the table's last row.
+    stretchRange(range, table, count) {
+        const match = range.match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+        if (!match) return range;
+
+        const colNumber = (letters) => letters.split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+        const left = colNumber(match[1]);
+        const right = colNumber(match[3] || match[1]);
+        const inTable = right >= table.firstCol && left <= table.lastCol;
+
+        let top = parseInt(match[2], 10);
+        let bottom = parseInt(match[4] || match[2], 10);
+        if (inTable) {
+            if (top > table.endRow) top += count;
+            if (bottom >= table.endRow) bottom += count;
+        } else if (top <= table.endRow && bottom >= table.endRow) {
+            bottom += count;
+        } else {
+            return range;
+        }
+
+        return `${match[1]}${top}:${match[3] || match[1]}${bottom}`;
+    }
+
+    // ExcelJS reads rules kept in Excel's x14 extension without their formula, and writing them
+    // back produces a file Excel has to repair. Rules found in the template's sheet XML (x14Rules,
+    // by rule id) get their formula and style back as plain rules; anything else without a formula
+    // is dropped. The rest round-trips as is.
+    restoreConditionalFormatting(worksheet, x14Rules = {}) {
+        const needsFormula = ['expression', 'cellIs'];
+        (worksheet.conditionalFormattings || []).forEach(cf => {
+            cf.rules = cf.rules.map(rule => {
+                const found = x14Rules[rule.x14Id];
+                if (!found || (rule.formulae && rule.formulae.length > 0)) return rule;
+
+                const { x14Id, ...plain } = rule;
+                return { ...plain, formulae: found.formulae, style: found.style };
+            }).filter(rule => {
+                const unwritable = needsFormula.includes(rule.type) && (!rule.formulae || rule.formulae.length === 0);
+                if (unwritable) this.logger.warn(`Dropping conditional formatting on ${cf.ref} that can't be saved back`, rule);
+                return !unwritable;
+            });
+        });
+        worksheet.conditionalFormattings = (worksheet.conditionalFormattings || []).filter(cf => cf.rules.length > 0);
+    }
+
+    // The x14 conditional formatting rules in the workbook's sheets, by rule id, with the formula
+    // and the fill/font they apply. Only what restoreConditionalFormatting needs is read.
+    async readX14Rules(buffer) {
+        const rules = {};
+        let zip;
         try {
-            console.log('Inside downloadExcel');
-            const date = new Date().toISOString().split('T')[0];
-            const fileName = `MB_Change_Request_${date}.xlsx`;
+            zip = await TemplateZip.loadAsync(buffer);
+        } catch (e) {
+            this.logger.warn('Could not read the template sheets for conditional formatting', e);
+            return rules;
+        }
 
-            console.log('Writing buffer...');
-            const buffer = await workbook.xlsx.writeBuffer();
-            console.log('Buffer written, size:', buffer.byteLength);
+        const sheets = Object.keys(zip.files).filter(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name));
+        for (const name of sheets) {
+            const xml = await zip.file(name).async('string');
+            (xml.match(/<x14:cfRule\b[\s\S]*?<\/x14:cfRule>/g) || []).forEach(ruleXml => {
+                const id = (ruleXml.match(/^<x14:cfRule\b[^>]*\bid="([^"]+)"/) || [])[1];
+                const formulae = (ruleXml.match(/<xm:f>[\s\S]*?<\/xm:f>/g) || [])
+                    .map(f => this.unescapeXml(f.slice('<xm:f>'.length, -'</xm:f>'.length)));
+                if (id && formulae.length > 0) {
+                    rules[id] = { formulae, style: this.readDxfStyle((ruleXml.match(/<x14:dxf>[\s\S]*?<\/x14:dxf>/) || [''])[0]) };
+                }
+            });
+        }
+        return rules;
+    }
 
-            const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-            console.log('Blob created');
+    readDxfStyle(dxfXml) {
+        const style = {};
+        const fill = dxfXml.match(/<fill>[\s\S]*?<\/fill>/);
+        const bgColor = fill && this.readXmlColor(fill[0], 'bgColor');
+        if (bgColor) style.fill = { type: 'pattern', pattern: 'solid', bgColor };
 
-            const url = window.URL.createObjectURL(blob);
-            const anchor = document.createElement('a');
-            anchor.href = url;
-            anchor.download = fileName;
-            anchor.click();
+        const font = dxfXml.match(/<font>[\s\S]*?<\/font>/);
+        if (font) {
+            style.font = {};
+            const color = this.readXmlColor(font[0], 'color');
+            if (color) style.font.color = color;
+            if (/<b\s*\/>/.test(font[0])) style.font.bold = true;
+            if (/<i\s*\/>/.test(font[0])) style.font.italic = true;
+        }
+        return style;
+    }
+
+    readXmlColor(xml, tag) {
+        const element = xml.match(new RegExp(`<${tag}\\b([^>]*?)/?>`));
+        if (!element) return null;
+        const attr = name => (element[1].match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1];
+        if (attr('rgb')) return { argb: attr('rgb') };
+        if (attr('theme') === undefined) return null;
+        const color = { theme: Number(attr('theme')) };
+        if (attr('tint')) color.tint = Number(attr('tint'));
+        return color;
+    }
+
+    unescapeXml(text) {
+        return text.replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name]);
+    }
 
-            window.URL.revokeObjectURL(url);
-            console.log('Download triggered');
+    async loadTemplate(templateData = this.getTemplateData()) {
+        if (!templateData) {
+            throw new Error("Template data not loaded. Please ensure lib/template-data.js is generated and linked.");
+        }
+
+        // code tells callers which of these went wrong: 'unreadable' (not an xlsx at all) or 'no-sheet'
+        this.logger.log('Loading workbook...');
+        const workbook = new this.ExcelJS.Workbook();
+        const buffer = this.base64ToArrayBuffer(templateData);
+        try {
+            await workbook.xlsx.load(buffer);
         } catch (e) {
-            console.error('Error in downloadExcel:', e);
+            throw Object.assign(new Error(`The template could not be read as an .xlsx workbook (${e.message}).`), { code: 'unreadable' });
+        }
+        this.logger.log('Workbook loaded');
+
+        const worksheet = workbook.getWorksheet('Change Request Form');
+        if (!worksheet) {
+            this.logger.error('Worksheets available:', workbook.worksheets.map(ws => ws.name));
+            throw Object.assign(new Error("Sheet 'Change Request Form' not found in the template."), { code: 'no-sheet' });
+        }
+        this.logger.log('Worksheet found:', worksheet.name);
+
+        return { workbook, worksheet, buffer };
+    }
+
+    getCellText(cell) {
+        if (!cell || !cell.value) return '';
+        if (cell.value.richText) {
+            return cell.value.richText.map(t => t.text).join('');
+        }
+        return cell.value.toString();
+    }
+
+    // The item table is the first row with a WRIN header after the "Submit this form" anchor
+    findTable(worksheet) {
+        let startRow = null;
+        const colMap = {
+            wrin: null,
+            name: null,
+            type: null,
+            stock: null,
+            reason: null,
+            comment: null
+        };
+
+        let anchorRow = null;
+
+        worksheet.eachRow((row, rowNumber) => {
+            if (!anchorRow) {
+                const rowValues = row.values;
+                if (Array.isArray(rowValues)) {
+                    const match = rowValues.some(val =>
+                        val && val.toString().toLowerCase().includes('submit this form')
+                    );
+                    if (match) {
+                        this.logger.log('Found Anchor "Submit this form" at row:', rowNumber);
+                        anchorRow = rowNumber;
+                    }
+                }
+                return;
+            }
+
+            if (!startRow) {
+                let foundHeader = false;
+                row.eachCell((cell, colNumber) => {
+                    const val = this.getCellText(cell).toUpperCase();
+                    if (val.includes('WRIN')) {
+                        colMap.wrin = colNumber;
+                        foundHeader = true;
+                    } else if (val.includes('DESCRIPTION')) {
+                        colMap.name = colNumber;
+                    } else if (val.includes('REDUCTION') || val.includes('TYPE')) {
+                        colMap.type = colNumber;
+                    } else if (val.includes('STOCK')) {
+                        colMap.stock = colNumber;
+                    } else if (val.includes('REASON')) {
+                        colMap.reason = colNumber;
+                    } else if (val.includes('COMMENT')) {
+                        colMap.comment = colNumber;
+                    }
+                });
+
+                if (foundHeader) {
+                    startRow = rowNumber + 1;
+                    this.logger.log('Found Target Header row at:', rowNumber);
+                    this.logger.log('Column Mapping AFTER Anchor:', colMap);
+                }
+            }
+        });
+
+        return { anchorRow, startRow, colMap };
+    }
+
+    // Reads the choices the form offers so the app never drifts from the current form version.
+    // Reasons come from the dropdown on the reason column, or failing that from the
+    // "Reason for Change" block; lists holds every list validation on the sheet by cell.
+    async readTemplateOptions(templateData = this.getTemplateData()) {
+        const { worksheet } = await this.loadTemplate(templateData);
+        return this.templateOptions(worksheet);
+    }
+
+    templateOptions(worksheet) {
+        const lists = {};
+        const validations = (worksheet.dataValidations && worksheet.dataValidations.model) || {};
+        Object.entries(validations).forEach(([address, rule]) => {
+            if (rule && rule.type === 'list' && rule.formulae && rule.formulae[0]) {
+                lists[address] = this.resolveList(worksheet, rule.formulae[0]);
+            }
+        });
+
+        let reasons = [];
+        const { startRow, colMap } = this.findTable(worksheet);
+        if (startRow && colMap.reason) {
+            reasons = lists[worksheet.getCell(startRow, colMap.reason).address] || [];
+        }
+        if (reasons.length === 0) {
+            reasons = this.readReasonBlock(worksheet);
+        }
+
+        this.logger.log('Template reasons:', reasons);
+        return { reasons, lists };
+    }
+
+    // A list formula is either a quoted "a,b,c" or a range like $B$11:$B$16 (optionally on another sheet)
+    resolveList(worksheet, formula) {
+        const text = formula.trim();
+        if (text.startsWith('"')) {
+            return [...new Set(text.replace(/^"|"$/g, '').split(',').map(v => v.trim()).filter(Boolean))];
+        }
+
+        const match = text.match(/^(?:'?([^'!]+)'?!)?\$?([A-Z]+)\$?(\d+)(?::\$?([A-Z]+)\$?(\d+))?$/i);
+        if (!match) {
+            this.logger.warn('Unsupported list formula:', formula);
+            return [];
+        }
+
+        const sheet = match[1] ? worksheet.workbook.getWorksheet(match[1]) : worksheet;
+        if (!sheet) return [];
+
+        const first = sheet.getCell(`${match[2]}${match[3]}`);
+        const last = sheet.getCell(`${match[4] || match[2]}${match[5] || match[3]}`);
+
+        const values = [];
+        for (let row = first.row; row <= last.row; row++) {
+            for (let col = first.col; col <= last.col; col++) {
+                const value = this.getCellText(sheet.getCell(row, col)).trim();
+                if (value && !values.includes(value)) values.push(value);
+            }
+        }
+        return values;
+    }
+
+    // Checks an uploaded form has everything generateExcel relies on before it can be used
+    async checkTemplate(templateData) {
+        let worksheet;
+        try {
+            ({ worksheet } = await this.loadTemplate(templateData));
+        } catch (e) {
+            return { problems: [e.code === 'no-sheet' ? e.message : 'This file could not be read as an .xlsx workbook.'], reasons: [] };
+        }
+
+        const problems = [];
+        const { anchorRow, startRow } = this.findTable(worksheet);
+        if (!anchorRow) {
+            problems.push('The "Submit this form" text that marks the start of the request table is missing.');
+        } else if (!startRow) {
+            problems.push('There is no WRIN header row after "Submit this form".');
+        }
+
+        const { reasons } = this.templateOptions(worksheet);
+        if (reasons.length === 0) {
+            problems.push('No reasons for change were found (neither a dropdown on the reason column nor a "Reason for Change" list).');
+        }
+
+        return { problems, reasons };
+    }
+
+    readReasonBlock(worksheet) {
+        const reasons = [];
+        worksheet.eachRow((row, rowNumber) => {
+            row.eachCell((cell, colNumber) => {
+                if (reasons.length > 0 || this.getCellText(cell).trim().toUpperCase() !== 'REASON FOR CHANGE') return;
+
+                for (let r = rowNumber + 1; r <= worksheet.rowCount; r++) {
+                    const value = this.getCellText(worksheet.getCell(r, colNumber)).trim();
+                    if (!value) break;
+                    if (!reasons.includes(value)) reasons.push(value);
+                }
+            });
+        });
+        return reasons;
+    }
+
+    fillReportDetails(worksheet, reportMeta) {
+        // The form's restaurant block is a label in one cell with a merged input area to its right
+        const orderProposal = [reportMeta.reportDate, reportMeta.processedAt ? `(processed ${reportMeta.processedAt})` : null]
+            .filter(Boolean)
+            .join(' ');
+
+        const fields = [
+            { label: 'RESTAURANT:', value: reportMeta.storeName },
+            { label: 'RESTAURANT NO:', value: reportMeta.storeNumber },
+            { label: 'DATE/TIME:', value: orderProposal ? `Order proposal ${orderProposal}` : null }
+        ];
+
+        worksheet.eachRow((row, rowNumber) => {
+            row.eachCell((cell, colNumber) => {
+                const text = cell.value ? cell.value.toString().trim().toUpperCase() : '';
+                const field = fields.find(f => f.label === text);
+                if (!field || !field.value) return;
+
+                let valueCol = colNumber + 1;
+                for (let col = colNumber + 1; col <= colNumber + 4; col++) {
+                    if (row.getCell(col).isMerged) {
+                        valueCol = col;
+                        break;
+                    }
+                }
+
+                const storeNumber = field.label === 'RESTAURANT NO:' ? parseInt(field.value) : NaN;
+                row.getCell(valueCol).value = isNaN(storeNumber) ? field.value : storeNumber;
+                this.logger.log(`Wrote ${field.label} at row ${rowNumber}, col ${valueCol}:`, field.value);
+            });
+        });
+    }
+
+    async writeExcel(workbook, reportMeta = null) {
+        const fileName = this.exportFileName(reportMeta, 'xlsx');
+
+        this.logger.log('Writing buffer...');
+        const buffer = await workbook.xlsx.writeBuffer();
+        this.logger.log('Buffer written, size:', buffer.byteLength);
+
+        return { buffer, fileName };
+    }
+
+    async downloadExcel(workbook, reportMeta = null) {
+        try {
+            this.logger.log('Inside downloadExcel');
+            const { buffer, fileName } = await this.writeExcel(workbook, reportMeta);
+
+            this.downloadBuffer(buffer, fileName);
+            return { buffer, fileName };
+        } catch (e) {
+            this.logger.error('Error in downloadExcel:', e);
             throw e;
         }
     }
 
+    // Subject and body for Mail / Teams: who it's from, which report, and what changed
+    buildShareMessage(items, reportMeta = null, maxLines = 40) {
+        const meta = reportMeta || {};
+        const store = [meta.storeNumber ? `Store #${meta.storeNumber}` : null, meta.storeName].filter(Boolean).join(' ');
+        const subject = ['MB Change Request', store, meta.reportDate].filter(Boolean).join(' - ');
+
+        const qty = (n) => Number((n || 0).toFixed(2)).toString();
+        const increases = items.filter(i => i.status === 'increase');
+        const decreases = items.filter(i => i.status === 'decrease');
+        const added = increases.reduce((sum, i) => sum + Math.max(0, i.adjustedQty - i.proposedQty), 0);
+        const removed = decreases.reduce((sum, i) => sum + Math.max(0, i.proposedQty - i.adjustedQty), 0);
+
+        const lines = [
+            `Change Request for ${store || 'our store'}${meta.reportDate ? `, report date ${meta.reportDate}` : ''}.`,
+            `${increases.length} increase${increases.length === 1 ? '' : 's'} (+${qty(added)} cartons), ` +
+            `${decreases.length} decrease${decreases.length === 1 ? '' : 's'} (-${qty(removed)} cartons).`,
+            ''
+        ];
+
+        items.slice(0, maxLines).forEach(item => {
+            const change = item.status === 'increase' ? 'Increase' : 'Decrease';
+            lines.push(`${change} ${item.wrin} ${item.name}: ${qty(item.proposedQty)} -> ${qty(item.adjustedQty)}${item.reason ? ` (${item.reason})` : ''}`);
+        });
+        if (items.length > maxLines) lines.push(`...and ${items.length - maxLines} more in the spreadsheet.`);
+
+        return { subject, text: lines.join('\n') };
+    }
+
+    canShareFiles(fileName = 'check.xlsx') {
+        if (typeof navigator === 'undefined' || !navigator.share || !navigator.canShare || typeof File === 'undefined') return false;
+        return navigator.canShare({ files: [new File([''], fileName, { type: XLSX_TYPE })] });
+    }
+
+    // 'shared', 'cancelled' (the share sheet was closed), or 'unavailable' when the caller should download instead
+    async shareExcel(buffer, fileName, message) {
+        if (!this.canShareFiles(fileName)) return 'unavailable';
+
+        const file = new File([buffer], fileName, { type: XLSX_TYPE });
+        try {
+            await navigator.share({ files: [file], title: message.subject, text: message.text });
+            return 'shared';
+        } catch (e) {
+            if (e.name === 'AbortError') return 'cancelled';
+            // NotAllowedError when the tap that started the export is too long ago
+            this.logger.warn('Share failed, falling back to download:', e);
+            return 'unavailable';
+        }
+    }
+
+    // Mail clients can't take an attachment through mailto:, so the body says which file to attach
+    mailtoLink(message, fileName) {
+        const body = `${message.text}\n\nPlease find ${fileName} attached.`;
+        return `mailto:?subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    exportFileName(reportMeta, extension) {
+        const date = new Date().toISOString().split('T')[0];
+        const store = reportMeta && reportMeta.storeNumber ? `${reportMeta.storeNumber}_` : '';
+        return `MB_Change_Request_${store}${date}.${extension}`;
+    }
+
+    // Every item of the report, one row each, so a region can stack stores in one sheet
+    generateCSV(items, reportMeta = null) {
+        const meta = reportMeta || {};
+        const records = items.map(item => {
+            const record = {};
+            EXPORT_COLUMNS.forEach(c => {
+                const value = c.value(item, meta);
+                record[c.header] = value === undefined ? null : value;
+            });
+            return record;
+        });
+        return toCSV(records, EXPORT_COLUMNS.map(c => c.header));
+    }
+
+    // Full items plus the report details: enough for scripts, and for the app to rebuild the session
+    generateJSON(items, reportMeta = null, extra = {}) {
+        return JSON.stringify({
+            format: SESSION_EXPORT_FORMAT,
+            version: SESSION_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            reportMeta: reportMeta || {},
+            items,
+            diagnostics: extra.diagnostics || []
+        }, null, 2);
+    }
+
+    // Checks a JSON export before it replaces anything; throws with something a manager can act on
+    readSessionExport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('This file is not valid JSON.');
+        }
+
+        if (!data || data.format !== SESSION_EXPORT_FORMAT) {
+            throw new Error('This JSON file is not an MB Sync export.');
+        }
+        if (data.version > SESSION_EXPORT_VERSION) {
+            throw new Error('This export was made by a newer version of the app.');
+        }
+        if (!Array.isArray(data.items) || data.items.length === 0) {
+            throw new Error('This export has no items to restore.');
+        }
+
+        return {
+            reportMeta: data.reportMeta || {},
+            items: data.items.map((item, index) => this.readSessionItem(item, index)),
+            diagnostics: Array.isArray(data.diagnostics) ? data.diagnostics : []
+        };
+    }
+
+    // The file could have been edited by hand, so every field the app reads is checked
+    // before it gets anywhere near the item cards. The ordering maths needs the primary report
+    // columns; other fields can be left out, but not given the wrong type.
+    readSessionItem(item, index) {
+        const invalid = (what) => new Error(`Item ${index + 1} in this export ${what}.`);
+        if (!item || typeof item !== 'object') throw invalid('is not an item');
+
+        // Spreadsheets and hand edits turn WRINs into numbers
+        const wrin = typeof item.wrin === 'number' ? String(item.wrin) : item.wrin;
+        if (typeof wrin !== 'string' || !/^\d+$/.test(wrin)) throw invalid('has no valid WRIN');
+        if (typeof item.name !== 'string' || !item.name.trim()) throw invalid(`(WRIN ${wrin}) has no description`);
+        if (item.status !== undefined && !SESSION_STATUSES.includes(item.status)) {
+            throw invalid(`(WRIN ${wrin}) has an unknown status`);
+        }
+
+        const present = (key) => item[key] !== undefined && item[key] !== null;
+        const missing = ITEM_COLUMNS.filter(c => c.primary && !present(c.key));
+        if (missing.length > 0) {
+            throw invalid(`(WRIN ${wrin}) has no ${missing.map(c => c.label).join(', ')}`);
+        }
+        SESSION_TEXT_FIELDS.filter(present).forEach(key => {
+            if (typeof item[key] !== 'string') throw invalid(`(WRIN ${wrin}) has a ${key} that isn't text`);
+        });
+        ITEM_COLUMNS.map(c => c.key).concat(SESSION_NUMBER_FIELDS).filter(present).forEach(key => {
+            if (typeof item[key] !== 'number' || !isFinite(item[key])) throw invalid(`(WRIN ${wrin}) has a ${key} that isn't a number`);
+        });
+        if (present('opsSupply') && typeof item.opsSupply !== 'boolean') {
+            throw invalid(`(WRIN ${wrin}) has an opsSupply flag that isn't true or false`);
+        }
+
+        return { ...item, wrin };
+    }
+
+    downloadCSV(items, reportMeta = null) {
+        const fileName = this.exportFileName(reportMeta, 'csv');
+        // BOM so Excel opens it as UTF-8
+        this.downloadBuffer('\uFEFF' + this.generateCSV(items, reportMeta), fileName, 'text/csv;charset=utf-8');
+        return fileName;
+    }
+
+    downloadJSON(items, reportMeta = null, extra = {}) {
+        const fileName = this.exportFileName(reportMeta, 'json');
+        this.downloadBuffer(this.generateJSON(items, reportMeta, extra), fileName, 'application/json');
+        return fileName;
+    }
+
+    downloadBuffer(buffer, fileName, type = XLSX_TYPE) {
+        const blob = new Blob([buffer], { type });
+        this.logger.log('Blob created');
+
+        const url = window.URL.createObjectURL(blob);
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = fileName || 'MB_Change_Request.xlsx';
+        anchor.click();
+
+        window.URL.revokeObjectURL(url);
+        this.logger.log('Download triggered');
+    }
+
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Chunked so large workbooks don't overflow the argument list
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
     base64ToArrayBuffer(base64) {
-        const binaryString = window.atob(base64);
+        const binaryString = atob(base64);
         const len = binaryString.length;
         const bytes = new Uint8Array(len);
         for (let i = 0; i < len; i++) {
@@ -191,4 +781,8 @@ class ExcelGenerator {
         }
         return bytes.buffer;
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExcelGenerator, EXPORT_COLUMNS };
+}
@@ -0,0 +1,61 @@
+// Sorting and status filters for the item grid. The storage tabs and search stay in the app;
+// these only decide the order and which decisions are shown.
+
+const STATUS_ORDER = { neutral: 0, increase: 1, decrease: 2, accept: 3 };
+
+const wrinNumber = (item) => parseInt(item.wrin, 10) || 0;
+const statusRank = (item) => item.status in STATUS_ORDER ? STATUS_ORDER[item.status] : 9;
+
+// WRIN, name, RSP and status run low to high; proposed and transit put the biggest first
+// so the large orders surface. 'report' keeps the PDF order
+const ITEM_SORTS = {
+    report: null,
+    wrin: (a, b) => wrinNumber(a) - wrinNumber(b) || String(a.wrin).localeCompare(String(b.wrin)),
+    name: (a, b) => String(a.name || '').localeCompare(String(b.name || '')),
+    proposed: (a, b) => (b.proposedQty || 0) - (a.proposedQty || 0),
+    rsp: (a, b) => (a.stock || 0) - (b.stock || 0),
+    transit: (a, b) => (b.transit || 0) - (a.transit || 0),
+    status: (a, b) => statusRank(a) - statusRank(b)
+};
+
+const ATTENTION_DEFAULTS = {
+    // Without a forecast on the report, this many cartons or fewer counts as low
+    lowRsp: 1
+};
+
+function sortItems(items, sortKey) {
+    const compare = ITEM_SORTS[sortKey];
+    // Array sort is stable, so ties keep the report order
+    return compare ? items.slice().sort(compare) : items.slice();
+}
+
+// Nothing is ordered, yet what's left (plus what's on its way) won't cover the forecast
+function isZeroProposalLowStock(item, options = {}) {
+    const settings = Object.assign({}, ATTENTION_DEFAULTS, options);
+    if ((item.proposedQty || 0) !== 0) return false;
+
+    const onHand = (item.stock || 0) + (item.transit || 0);
+    return item.forecastUsage > 0 ? onHand < item.forecastUsage : (item.stock || 0) <= settings.lowRsp;
+}
+
+function needsAttention(item, options = {}) {
+    if (item.opsSupply) return false;
+    return item.status === 'neutral' || isZeroProposalLowStock(item, options);
+}
+
+// isInvalid(item) comes from the app, which knows the validation rules and template reasons
+function matchesStatusFilter(item, filter, { isInvalid = () => false, attention = {} } = {}) {
+    switch (filter) {
+        case 'unreviewed': return item.status === 'neutral';
+        case 'accept':
+        case 'increase':
+        case 'decrease': return item.status === filter;
+        case 'invalid': return isInvalid(item);
+        case 'attention': return needsAttention(item, attention);
+        default: return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ITEM_SORTS, ATTENTION_DEFAULTS, sortItems, needsAttention, isZeroProposalLowStock, matchesStatusFilter };
+}
@@ -0,0 +1,70 @@
+// The Ops Supplies WRIN list. Most reports print Ops Supplies under their own heading, but some
+// don't, so the store keeps a list of WRINs that are always treated as Ops Supplies. The parser
+// takes it as opsSupplyWrins; the app edits it here, the CLI reads it from a file.
+
+const OpsSupplyBase = typeof IndexedStore !== 'undefined' ? IndexedStore : require('./session-store').IndexedStore;
+const readOpsCSV = typeof parseCSV !== 'undefined' ? parseCSV : require('./csv').parseCSV;
+const opsKey = typeof wrinKey !== 'undefined' ? wrinKey : require('./report-compare').wrinKey;
+
+// A CSV with a WRIN column (other columns are ignored), or just WRINs separated by
+// commas, spaces or new lines. Anything that isn't a WRIN is reported back.
+function readOpsSuppliesList(text) {
+    const source = String(text || '');
+    const isWrinHeader = (name) => ['wrin', 'wrinnumber'].includes(name.toLowerCase().replace(/[^a-z]/g, ''));
+    const hasHeader = source.split(/\r?\n/, 1)[0].split(',').some(isWrinHeader);
+
+    const entries = hasHeader
+        ? readOpsCSV(source).map((record, i) => ({ value: record[Object.keys(record).find(isWrinHeader)], label: `Row ${i + 2}` }))
+        : source.split(/[\s,;]+/).filter(Boolean).map((value, i) => ({ value, label: `Entry ${i + 1}` }));
+
+    const wrins = [];
+    const problems = [];
+    entries.forEach(({ value, label }) => {
+        const wrin = String(value || '').trim();
+        if (!/^\d{4,8}$/.test(wrin)) {
+            problems.push(`${label}: "${wrin}" isn't a WRIN`);
+            return;
+        }
+        if (!wrins.some(listed => opsKey(listed) === opsKey(wrin))) wrins.push(wrin);
+    });
+
+    return { wrins, problems };
+}
+
+class OpsSupplyStore extends OpsSupplyBase {
+    constructor(options = {}) {
+        super('opsSupplies', options);
+    }
+
+    // WRINs in the order they were added
+    async load() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return (entries || []).sort((a, b) => a.addedAt - b.addedAt).map(entry => entry.wrin);
+    }
+
+    // Replaces the whole list (the edit box shows all of it)
+    async save(wrins) {
+        const now = Date.now();
+        await this.run('readwrite', store => {
+            store.clear();
+            let request = null;
+            wrins.forEach((wrin, i) => {
+                request = store.put({ id: opsKey(wrin), wrin, addedAt: now + i });
+            });
+            return request;
+        });
+        return wrins.length;
+    }
+
+    // Adds to the list; WRINs already on it stay where they are
+    async import(wrins) {
+        const current = await this.load();
+        const added = wrins.filter(wrin => !current.some(listed => opsKey(listed) === opsKey(wrin)));
+        await this.save(current.concat(added));
+        return added.length;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpsSupplyStore, readOpsSuppliesList };
+}
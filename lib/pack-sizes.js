@@ -0,0 +1,121 @@
+// Pack sizes per WRIN (units per sleeve, sleeves per case) so stock can be counted the way it
+// sits on the shelf: "2 cs + 3 sl + 5 ea". The form wants cartons, so every entry is converted
+// once, in units, and divided at the end rather than rounded term by term.
+
+const PackSizeBase = typeof IndexedStore !== 'undefined' ? IndexedStore : require('./session-store').IndexedStore;
+const readCSV = typeof parseCSV !== 'undefined' ? parseCSV : require('./csv').parseCSV;
+const packKey = typeof wrinKey !== 'undefined' ? wrinKey : require('./report-compare').wrinKey;
+
+const PACK_UNITS = {
+    cases: ['cs', 'c', 'case', 'cases', 'ctn', 'ctns', 'carton', 'cartons'],
+    sleeves: ['sl', 's', 'slv', 'sleeve', 'sleeves'],
+    units: ['ea', 'e', 'each', 'u', 'un', 'unit', 'units']
+};
+
+// Catalog CSV headers we accept, compared lower-case with punctuation stripped
+const PACK_CSV_FIELDS = {
+    wrin: ['wrin', 'wrinnumber'],
+    unitsPerSleeve: ['unitspersleeve', 'eapersleeve', 'eachpersleeve', 'sleevesize'],
+    sleevesPerCase: ['sleevespercase', 'slpercase', 'sleevespercarton', 'sleeves']
+};
+
+// The catalog entry when there is one; otherwise units per case from the report, with no sleeves
+function packForItem(item, catalog = {}) {
+    const entry = catalog[packKey(item.wrin)];
+    if (entry && entry.unitsPerSleeve > 0 && entry.sleevesPerCase > 0) {
+        return {
+            unitsPerSleeve: entry.unitsPerSleeve,
+            sleevesPerCase: entry.sleevesPerCase,
+            unitsPerCase: entry.unitsPerSleeve * entry.sleevesPerCase
+        };
+    }
+    return { unitsPerSleeve: null, sleevesPerCase: null, unitsPerCase: item.unitsPerCase > 0 ? item.unitsPerCase : null };
+}
+
+// "2 cs + 3 sl + 5 ea" → cartons. A bare number is cartons, as before. Empty → null.
+function parseStockEntry(text, pack = {}) {
+    const value = String(text === null || text === undefined ? '' : text).trim().toLowerCase();
+    if (value === '') return null;
+
+    const terms = value.split(/\s*\+\s*|\s+(?=\d)/).filter(Boolean);
+    const totals = { cases: 0, sleeves: 0, units: 0 };
+
+    terms.forEach(term => {
+        const match = term.match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/);
+        if (!match) throw new Error(`Couldn't read "${term}". Use e.g. 2 cs + 3 sl + 5 ea`);
+
+        const unit = match[2] ? Object.keys(PACK_UNITS).find(u => PACK_UNITS[u].includes(match[2])) : 'cases';
+        if (!unit) throw new Error(`"${match[2]}" isn't a unit. Use cs, sl or ea`);
+        totals[unit] += parseFloat(match[1]);
+    });
+
+    if (totals.sleeves > 0 && !pack.sleevesPerCase) {
+        throw new Error('Add a pack size (sleeves per case) for this item to count sleeves');
+    }
+    if (totals.units > 0 && !pack.unitsPerCase) {
+        throw new Error('Add a pack size (units per sleeve) for this item to count units');
+    }
+    if (totals.sleeves === 0 && totals.units === 0) return totals.cases;
+
+    const unitsPerSleeve = totals.sleeves > 0 ? pack.unitsPerCase / pack.sleevesPerCase : 0;
+    const units = totals.cases * pack.unitsPerCase + totals.sleeves * unitsPerSleeve + totals.units;
+    // Only float noise goes; 5 ea of a 36-unit case stays 0.138889, not 0.14
+    return Math.round(units / pack.unitsPerCase * 1e6) / 1e6;
+}
+
+// Rows that don't parse are reported back rather than guessed
+function readPackSizesCSV(text) {
+    const packs = [];
+    const problems = [];
+
+    readCSV(text).forEach((record, i) => {
+        const row = {};
+        Object.entries(record).forEach(([key, value]) => {
+            const cleanKey = key.toLowerCase().replace(/[^a-z]/g, '');
+            const field = Object.keys(PACK_CSV_FIELDS).find(f => PACK_CSV_FIELDS[f].includes(cleanKey));
+            if (field) row[field] = value;
+        });
+
+        const unitsPerSleeve = parseFloat(row.unitsPerSleeve);
+        const sleevesPerCase = parseFloat(row.sleevesPerCase);
+        if (!row.wrin || !(unitsPerSleeve > 0) || !(sleevesPerCase > 0)) {
+            problems.push(`Row ${i + 2}: needs a WRIN, units per sleeve and sleeves per case`);
+            return;
+        }
+        packs.push({ wrin: row.wrin, unitsPerSleeve, sleevesPerCase });
+    });
+
+    return { packs, problems };
+}
+
+class PackSizeStore extends PackSizeBase {
+    constructor(options = {}) {
+        super('packSizes', options);
+    }
+
+    // { [packKey]: entry } for lookups while typing
+    async load() {
+        const catalog = {};
+        (await this.list()).forEach(entry => {
+            catalog[entry.id] = entry;
+        });
+        return catalog;
+    }
+
+    async save({ wrin, unitsPerSleeve, sleevesPerCase }) {
+        const entry = { id: packKey(wrin), wrin, unitsPerSleeve, sleevesPerCase, updatedAt: Date.now() };
+        await this.put(entry);
+        return entry;
+    }
+
+    async import(packs) {
+        for (const pack of packs) {
+            await this.save(pack);
+        }
+        return packs.length;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PackSizeStore, packKey, packForItem, parseStockEntry, readPackSizesCSV };
+}
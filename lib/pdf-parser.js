@@ -1,15 +1,67 @@
+// Every numeric column in an MB Sync report, in the order it prints after the description.
+// The token parser maps the trailing numbers onto this list by position; the geometric
+// parser matches each entry's header pattern. Primary columns are the ones on the card face.
+const REPORT_COLUMNS = [
+    { key: 'proposedQty', label: 'Proposed Qty', header: /propos/i, primary: true },
+    { key: 'unitsPerCase', label: 'Units / Case', header: /unit|case|pack/i },
+    { key: 'stock', label: 'RSP', header: /\brsp\b/i, primary: true },
+    { key: 'transit', label: 'In Transit', header: /transit/i, primary: true },
+    { key: 'forecastUsage', label: 'Forecast Usage', header: /forecast|usage/i },
+    { key: 'daysOfCover', label: 'Days of Cover', header: /cover|days/i },
+    { key: 'stockLeft', label: 'Stock Left', header: /left|remain|closing/i }
+];
+
+// Column-aware parsing: header labels on each page give us x-ranges to drop text into.
+// Anything not listed here is still tracked as a column so its numbers stay put.
+const COLUMN_HEADERS = [
+    { key: 'wrin', pattern: /^wrin/i },
+    { key: 'name', pattern: /desc/i },
+    ...REPORT_COLUMNS.map(c => ({ key: c.key, pattern: c.header })),
+    { key: 'storageType', pattern: /storage|temp/i }
+];
+const NUMERIC_KEYS = REPORT_COLUMNS.map(c => c.key);
+const STORAGE_KEYWORDS = ['Refrigerated', 'Frozen', 'Dry', 'ManualItems'];
+const HEADER_WORD_GAP = 8;
+
+// Anything starting with a WRIN-shaped number is meant to be an item row
+const WRIN_LINE_PATTERN = /^\d{4,8}\b/;
+
+// report-compare.js loads before this file in the browser
+const parserWrinKey = typeof wrinKey !== 'undefined' ? wrinKey : require('./report-compare').wrinKey;
+
+// Ops Supplies can't be changed on the Change Request Form. The report prints them under their
+// own heading; WRINs on the store's list (options.opsSupplyWrins, kept in lib/ops-supplies.js)
+// are treated as Ops Supplies even when the heading is missing. Nothing is listed by default.
+const OPS_SUPPLY_WRINS = [];
+const OPS_SECTION_PATTERN = /\bop(?:s|erating|erations)\.?\s+suppl/i;
+
+// Report banner labels. "Processed Date:" has to win over the plain "Date:" inside it.
+const META_LABEL_PATTERN = /(store\s*#\s*:?)|(processed(?:\s+(?:on|at|date|time))?\s*:?)|((?:report\s+)?date\s*:)|(user\s*:)|(time\s*:)/gi;
+
 class PDFParser {
-    constructor() {
+    constructor(options = {}) {
+        // Browsers get pdf.js as a global from the CDN script; Node passes it in
+        this.pdfjsLib = options.pdfjsLib || null;
+        // Anything with log/warn/error; the CLI and tests pass a quieter one than the console
+        this.logger = options.logger || console;
+        this.opsSupplyWrins = options.opsSupplyWrins || OPS_SUPPLY_WRINS;
         this.items = [];
-        this.reportDate = null;
+        this.reportMeta = this.createReportMeta();
+        this.rawLines = [];
+        this.diagnostics = [];
+        this.section = null;
     }
 
     async parsePDF(file) {
-        this.reportDate = null;
+        this.reportMeta = this.createReportMeta();
+        this.rawLines = [];
+        this.diagnostics = [];
+        this.section = null;
         try {
             const arrayBuffer = await file.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            const allTextLines = [];
+            const pdfjs = this.pdfjsLib || pdfjsLib;
+            const pdf = await pdfjs.getDocument({ data: arrayBuffer }).promise;
+            const pages = [];
 
             for (let i = 1; i <= pdf.numPages; i++) {
                 const page = await pdf.getPage(i);
@@ -22,8 +74,11 @@ class PDFParser {
                     return a.transform[4] - b.transform[4];
                 });
 
+                // Each line keeps both the flattened string (for the token fallback)
+                // and its positioned cells (for the column-aware parser)
+                const pageLines = [];
                 let currentY = null;
-                let currentLineStr = "";
+                let currentLine = null;
                 let lastXWithWidth = 0;
 
                 for (const item of items) {
@@ -34,55 +89,296 @@ class PDFParser {
                     if (!text.trim()) continue;
 
                     if (currentY === null || Math.abs(y - currentY) > 5) {
-                        if (currentLineStr.trim()) allTextLines.push(currentLineStr.trim());
-                        currentLineStr = text;
+                        if (currentLine && currentLine.text.trim()) pageLines.push(currentLine);
+                        currentLine = { text: text, cells: [{ text: text.trim(), x, width: item.width }] };
                         currentY = y;
                         lastXWithWidth = x + item.width;
                     } else {
                         const gap = x - lastXWithWidth;
+                        const lastCell = currentLine.cells[currentLine.cells.length - 1];
                         if (gap > 4) {
-                            currentLineStr += " " + text;
+                            currentLine.text += " " + text;
+                            currentLine.cells.push({ text: text.trim(), x, width: item.width });
                         } else {
-                            currentLineStr += text;
+                            // Glyph runs that touch belong to the same word / number
+                            currentLine.text += text;
+                            lastCell.text += text.trim();
+                            lastCell.width = (x + item.width) - lastCell.x;
                         }
                         lastXWithWidth = x + item.width;
                     }
                 }
-                if (currentLineStr.trim()) allTextLines.push(currentLineStr.trim());
+                if (currentLine && currentLine.text.trim()) pageLines.push(currentLine);
+
+                pageLines.forEach(line => line.text = line.text.trim());
+                pages.push(pageLines);
             }
 
-            console.log('--- PDF RAW TEXT DUMP ---');
-            console.log(allTextLines.join('\n'));
-            console.log('-------------------------');
+            // Line numbers are report-wide so diagnostics can point back at the raw text
+            pages.flat().forEach((line, index) => line.index = index);
+            this.rawLines = pages.flat().map(line => line.text);
 
-            this.items = this.parseTextLines(allTextLines);
+            this.items = this.parsePages(pages);
+            this.collectItemDiagnostics(this.items);
             return this.items;
 
         } catch (error) {
-            console.error('PDF parsing error:', error);
+            this.logger.error('PDF parsing error:', error);
             throw new Error('Failed to parse PDF. Please ensure it is a valid MB Sync report.');
         }
     }
 
-    parseTextLines(lines) {
+    parsePages(pages) {
         const items = [];
-        const storageKeywords = ['Refrigerated', 'Frozen', 'Dry', 'ManualItems'];
+        let columns = null;
 
-        for (const line of lines) {
-            try {
-                const dateMatch = line.match(/date:\s*([\d\/\-\.]+)/i);
-                if (dateMatch) {
-                    this.reportDate = dateMatch[1];
+        for (const pageLines of pages) {
+            const headerIndex = pageLines.findIndex(line => this.findColumnHeaders(line.cells));
+
+            if (headerIndex !== -1) {
+                columns = this.findColumnHeaders(pageLines[headerIndex].cells);
+            }
+
+            // No header on this page or any before it, so we can only guess from the tokens
+            if (!columns) {
+                if (!this.diagnostics.some(d => d.type === 'no-header')) {
+                    this.addDiagnostic('no-header', 'No column header row found, so columns were guessed from the text');
                 }
+                const firstIndex = pageLines.length > 0 ? pageLines[0].index : 0;
+                items.push(...this.parseTextLines(pageLines.map(line => line.text), firstIndex));
+                continue;
+            }
+
+            // Lines above the header are the report banner (store, date, user...)
+            const bodyStart = headerIndex === -1 ? 0 : headerIndex + 1;
+            pageLines.slice(0, bodyStart).forEach(line => this.captureMetadata(line.text));
+
+            for (const line of pageLines.slice(bodyStart)) {
+                try {
+                    this.captureMetadata(line.text);
+                    const item = this.parseGeometricLine(line, columns);
+                    if (item) {
+                        items.push(item);
+                    } else if (WRIN_LINE_PATTERN.test(line.text)) {
+                        this.addDiagnostic('unparsed', 'Looks like an item row but its WRIN or description could not be read', line.index);
+                    } else if (this.sectionHeading(line.text)) {
+                        this.section = this.sectionHeading(line.text);
+                    }
+                } catch (err) {
+                    this.logger.warn('Error parsing line:', line.text, err);
+                    this.addDiagnostic('unparsed', `Could not read this row: ${err.message}`, line.index);
+                }
+            }
+        }
+        return items;
+    }
+
+    findColumnHeaders(cells) {
+        // Header words sit a single space apart ("Proposed Qty"), columns much further
+        const labels = [];
+        for (const cell of cells) {
+            const last = labels[labels.length - 1];
+            if (last && cell.x - (last.x + last.width) < HEADER_WORD_GAP) {
+                last.label += ' ' + cell.text;
+                last.width = (cell.x + cell.width) - last.x;
+            } else {
+                labels.push({ label: cell.text, x: cell.x, width: cell.width });
+            }
+        }
+
+        const keyFor = (label) => {
+            const header = COLUMN_HEADERS.find(h => h.pattern.test(label));
+            return header ? header.key : null;
+        };
+
+        const columns = labels.map(l => ({ ...l, key: keyFor(l.label) }));
+        const keys = columns.map(c => c.key);
+        if (!keys.includes('wrin') || !keys.includes('name')) return null;
+
+        // Every header (even ones we don't use) claims the space around it, so a
+        // number under an unknown column can't drift into a neighbouring one
+        columns.forEach((col, i) => {
+            const prev = columns[i - 1];
+            const next = columns[i + 1];
+            col.start = prev ? (prev.x + prev.width + col.x) / 2 : -Infinity;
+            col.end = next ? (col.x + col.width + next.x) / 2 : Infinity;
+        });
+
+        return columns;
+    }
 
-                if (/store\s*#|page\s*\d|report|user:|date:|time:|^processed/i.test(line)) continue;
-                if (/^WRIN\s+Description/i.test(line)) continue;
+    parseGeometricLine(line, columns) {
+        const cells = line.cells;
+        const values = {};
+        const nameParts = [];
+
+        for (const cell of cells) {
+            const center = cell.x + cell.width / 2;
+            const column = columns.find(c => center >= c.start && center < c.end);
+            if (!column || !column.key) continue;
+
+            // Words that spill out of a long description into a number column are
+            // still part of the name; numbers inside the description ("McSpicy 22") stay there too
+            if (column.key === 'name' || (NUMERIC_KEYS.includes(column.key) && !this.isNumericToken(cell.text))) {
+                // Text starting right on a number column ("TBC" in Proposed) is that column's, not the name's
+                if (column.key !== 'name' && cell.x >= column.x) continue;
+                nameParts.push(cell.text);
+                continue;
+            }
+
+            if (values[column.key] === undefined) values[column.key] = cell.text;
+        }
+
+        const wrinMatch = (values.wrin || '').match(/^(\d{4,8})$/);
+        if (!wrinMatch || nameParts.length === 0) return null;
+
+        let storageType = 'Unknown';
+        const storageText = values.storageType || cells.map(c => c.text).find(t => this.normalizeStorageType(t));
+        if (storageText) {
+            storageType = this.normalizeStorageType(storageText) || storageText;
+        }
+
+        const columnValues = {};
+        REPORT_COLUMNS.forEach(c => {
+            if (values[c.key] !== undefined) columnValues[c.key] = this.parseNumber(values[c.key]);
+        });
+
+        return this.createItem({
+            wrin: wrinMatch[1],
+            name: this.cleanName(nameParts.join(' ')),
+            storageType,
+            columns: columnValues,
+            lineIndex: line.index
+        });
+    }
+
+    createReportMeta() {
+        return {
+            storeNumber: null,
+            storeName: null,
+            reportDate: null,
+            user: null,
+            processedAt: null
+        };
+    }
+
+    captureMetadata(line) {
+        // Banner lines can hold several labels at once ("Store # 123 Sydney CBD   Date: 12/05/2025"),
+        // so each value runs from the end of its label to the start of the next one
+        const labels = [...line.matchAll(META_LABEL_PATTERN)];
+        if (labels.length === 0) return;
+
+        labels.forEach((match, i) => {
+            const next = labels[i + 1];
+            const value = line.slice(match.index + match[0].length, next ? next.index : undefined).trim();
+            if (!value) return;
+
+            const [, store, processed, date, user, time] = match;
+            const meta = this.reportMeta;
+
+            if (store) {
+                const storeMatch = value.match(/^(\d+)\s*[-\u2013:]?\s*(.*)$/);
+                if (storeMatch) {
+                    meta.storeNumber = storeMatch[1];
+                    meta.storeName = storeMatch[2] || meta.storeName;
+                }
+            } else if (processed) {
+                meta.processedAt = value;
+            } else if (date) {
+                const dateMatch = value.match(/^[\d\/\-\.]+/);
+                if (dateMatch) meta.reportDate = dateMatch[0];
+            } else if (user) {
+                meta.user = value;
+            } else if (time && !meta.processedAt) {
+                meta.processedAt = meta.reportDate ? `${meta.reportDate} ${value}` : value;
+            }
+        });
+    }
+
+    isNumericToken(text) {
+        return /^[-\u2013\u2014\u2212]+$/.test(text) || /^-?[\d,]*\d(\.\d+)?$/.test(text);
+    }
+
+    parseNumber(text) {
+        if (text === undefined || text === null) return 0;
+        if (/^[-\u2013\u2014\u2212]+$/.test(text)) return 0;
+        return parseFloat(String(text).replace(/,/g, '')) || 0;
+    }
+
+    normalizeStorageType(text) {
+        const matchedKey = STORAGE_KEYWORDS.find(k => text.toLowerCase().includes(k.toLowerCase()));
+        if (!matchedKey) return null;
+        return matchedKey === 'ManualItems' ? 'Manual Items' : matchedKey;
+    }
+
+    // A line of capitals with no numbers between item rows is a section heading ("OPS SUPPLIES")
+    sectionHeading(text) {
+        const heading = text.trim().replace(/\s+/g, ' ');
+        if (!heading || /\d/.test(heading) || heading.length > 40 || /^wrin\b/i.test(heading)) return null;
+        if (heading !== heading.toUpperCase() && !OPS_SECTION_PATTERN.test(heading)) return null;
+        return heading;
+    }
+
+    isOpsSupply(wrin, section) {
+        if (OPS_SECTION_PATTERN.test(section || '')) return true;
+        return this.opsSupplyWrins.some(listed => parserWrinKey(listed) === parserWrinKey(wrin));
+    }
+
+    createItem({ wrin, name, storageType, columns, lineIndex = null }) {
+        // Columns the report didn't print stay null so the UI can tell "0" from "missing";
+        // the primary ones default to 0 because the ordering maths depends on them
+        const columnValues = {};
+        REPORT_COLUMNS.forEach(c => {
+            const value = columns[c.key];
+            columnValues[c.key] = value !== undefined ? value : (c.primary ? 0 : null);
+        });
+
+        return {
+            wrin,
+            name,
+            ...columnValues, // RSP lives in 'stock' as far as the rest of the app is concerned
+            storageType,
+            section: this.section,
+            opsSupply: this.isOpsSupply(wrin, this.section),
+            status: 'neutral',
+            actualStock: null,
+            adjustedQty: columnValues.proposedQty,
+            reason: '',
+            comment: '',
+            lineIndex
+        };
+    }
+
+    parseTextLines(lines, firstLineIndex = 0) {
+        const items = [];
+
+        // Called directly (no PDF), the lines themselves are the raw text
+        if (this.rawLines.length === 0) this.rawLines = lines.slice();
+
+        lines.forEach((line, i) => {
+            const lineIndex = firstLineIndex + i;
+            try {
+                this.captureMetadata(line);
+
+                if (/store\s*#|page\s*\d|report|user:|date:|time:|^processed/i.test(line)) return;
+                if (/^WRIN\s+Description/i.test(line)) return;
+
+                const heading = this.sectionHeading(line);
+                if (heading) {
+                    this.section = heading;
+                    return;
+                }
 
                 const tokens = line.trim().split(/\s+/);
-                if (tokens.length < 3) continue;
+                if (tokens.length < 3) {
+                    if (WRIN_LINE_PATTERN.test(line)) {
+                        this.addDiagnostic('unparsed', 'Looks like an item row but is too short to hold a name and quantities', lineIndex);
+                    }
+                    return;
+                }
 
                 const wrinMatch = tokens[0].match(/^(\d{4,8})$/);
-                if (!wrinMatch) continue;
+                if (!wrinMatch) return;
                 const wrin = wrinMatch[1];
 
                 let storageType = 'Unknown';
@@ -93,11 +389,7 @@ class PDFParser {
                 const isNumber = /^[\d]+(\.\d+)?$/.test(cleanLastToken) || lastToken === '-' || lastToken === '–';
 
                 if (!isNumber && lastToken.length > 1) {
-                    storageType = lastToken;
-                    const matchedKey = storageKeywords.find(k => lastToken.toLowerCase().includes(k.toLowerCase()));
-                    if (matchedKey) {
-                        storageType = matchedKey === 'ManualItems' ? 'Manual Items' : matchedKey;
-                    }
+                    storageType = this.normalizeStorageType(lastToken) || lastToken;
 
                     endIndex--;
                 }
@@ -122,7 +414,7 @@ class PDFParser {
 
                     // If it cleans down to a number, or it is a dash, AND it has no letters
                     if (((/^[\d]+(\.\d+)?$/.test(cleanT) && cleanT.length > 0) || isDash) && !hasLetters) {
-                        if (columnsFound < 7) { // Limited to 7 columns to avoid capturing numbers in item names (e.g., "McSpicy 22")
+                        if (columnsFound < REPORT_COLUMNS.length) { // Never more numbers than the report has columns, so "McSpicy 22" keeps its 22
                             dataTokens.unshift(cleanT);
                             columnsFound++;
                             dataStartIndex = i;
@@ -141,63 +433,35 @@ class PDFParser {
                 const nameTokens = tokens.slice(1, dataStartIndex);
                 let name = nameTokens.join(' ');
 
-                // Join tokens back into a string to use regex
-                const fullLine = line.trim();
-
-                let proposedQty = 0;
-                let rsp = 0;
-                let transit = 0;
-
                 // Filter tokens to just be things that look like numbers (or dashes)
                 // leveraging the robust cleaning we already did
-                let numericTokens = dataTokens.map(t => {
-                    if (/^[-\u2013\u2014\u2212]+$/.test(t)) return 0;
-                    // Fix: Remove commas before parsing to handle "1,000" correctly
-                    const cleanNum = t.replace(/,/g, '');
-                    return parseFloat(cleanNum) || 0;
-                });
+                let numericTokens = dataTokens.map(t => this.parseNumber(t));
 
                 // CRITICAL FIX 2: Proposed Qty (Index 0) NEVER has a decimal.
                 // If the first number is a decimal (e.g. "23.1"), it's likely part of the Name (e.g. "sd 23.1").
                 if (numericTokens.length > 0 && numericTokens[0] % 1 !== 0) {
-                    numericTokens.shift(); // Remove it, treating it as invalid data
+                    const dropped = numericTokens.shift(); // Remove it, treating it as invalid data
+                    this.addDiagnostic('decimal-stripped', `Ignored ${dropped} in front of the quantities (Proposed Qty is never a decimal)`, lineIndex, wrin);
                 }
 
-                const cnt = numericTokens.length;
-
-                if (cnt >= 1) {
-                    // Modified Mapping per User Request:
-                    // 1st Number (Index 0): Proposed Qty
-                    // 2nd Number (Index 1): Skipped
-                    // 3rd Number (Index 2): RSP / Stock (Presumed)
-                    // 4th Number (Index 3): In Transit
-
-                    // Index 0: Proposed Qty
-                    proposedQty = numericTokens[0];
-
-                    // Index 2: RSP (Price)
-                    if (cnt > 2) rsp = numericTokens[2];
-
-                    // Index 3: Transit (The 4th number)
-                    if (cnt > 3) transit = numericTokens[3];
-                }
+                // Numbers line up with REPORT_COLUMNS from the left
+                const columns = {};
+                numericTokens.forEach((value, index) => {
+                    if (REPORT_COLUMNS[index]) columns[REPORT_COLUMNS[index].key] = value;
+                });
 
-                items.push({
+                items.push(this.createItem({
                     wrin,
                     name: this.cleanName(name),
-                    proposedQty,
-                    stock: rsp, // Mapping RSP to 'stock' property locally as per app logic
-                    transit,
                     storageType,
-                    status: 'neutral',
-                    actualStock: null,
-                    adjustedQty: proposedQty,
-                    reason: ''
-                });
+                    columns,
+                    lineIndex
+                }));
             } catch (err) {
-                console.warn('Error parsing line:', line, err);
+                this.logger.warn('Error parsing line:', line, err);
+                this.addDiagnostic('unparsed', `Could not read this row: ${err.message}`, lineIndex);
             }
-        }
+        });
         return items;
     }
 
@@ -209,11 +473,47 @@ class PDFParser {
             .replace(/\b\w/g, char => char.toUpperCase());
     }
 
+    addDiagnostic(type, message, lineIndex = null, wrin = null) {
+        this.diagnostics.push({
+            type,
+            message,
+            wrin,
+            lineNumber: lineIndex !== null ? lineIndex + 1 : null,
+            line: lineIndex !== null ? (this.rawLines[lineIndex] || null) : null
+        });
+    }
+
+    collectItemDiagnostics(items) {
+        items.forEach(item => {
+            if (item.storageType === 'Unknown') {
+                this.addDiagnostic('unknown-storage', `WRIN ${item.wrin} has no recognised storage type`, item.lineIndex, item.wrin);
+            }
+        });
+
+        const byWrin = {};
+        items.forEach(item => {
+            (byWrin[item.wrin] = byWrin[item.wrin] || []).push(item);
+        });
+        Object.values(byWrin).filter(group => group.length > 1).forEach(group => {
+            group.forEach(item => {
+                this.addDiagnostic('duplicate-wrin', `WRIN ${item.wrin} appears ${group.length} times in the report`, item.lineIndex, item.wrin);
+            });
+        });
+    }
+
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
     getItems() {
         return this.items;
     }
 
-    updateItemStatus(wrin, status, actualStock = null, reason = null) {
+    getReportMeta() {
+        return this.reportMeta;
+    }
+
+    updateItemStatus(wrin, status, actualStock = null, reason = null, comment = undefined) {
         // Loose equality (==) to handle string/number WRIN mismatches
         const item = this.items.find(i => i.wrin == wrin);
 
@@ -222,13 +522,17 @@ class PDFParser {
             item.actualStock = actualStock;
             item.reason = reason;
 
+            // Comments survive status flips; only an explicit value replaces them
+            if (comment !== undefined) item.comment = comment;
+
             if (status === 'increase' && actualStock !== null) {
                 const diff = item.stock - actualStock;
                 item.adjustedQty = Math.max(0, item.proposedQty + diff);
             } else if (status === 'decrease' && actualStock !== null) {
                 const diff = actualStock - item.stock;
                 item.adjustedQty = Math.max(0, item.proposedQty - diff);
-            } else if (status === 'accept') {
+            } else {
+                // Accepted, or no stock count yet: the proposal stands
                 item.adjustedQty = item.proposedQty;
             }
         }
@@ -248,11 +552,26 @@ class PDFParser {
     }
 
     getStats() {
+        // Carton movement against the proposal, across every adjusted item
+        let cartonsAdded = 0;
+        let cartonsRemoved = 0;
+        this.getAdjustedItems().forEach(item => {
+            const delta = item.adjustedQty - item.proposedQty;
+            if (delta > 0) cartonsAdded += delta;
+            if (delta < 0) cartonsRemoved -= delta;
+        });
+
         return {
             total: this.items.length,
             accept: this.items.filter(i => i.status === 'accept' || i.status === 'neutral').length,
             increase: this.items.filter(i => i.status === 'increase').length,
-            decrease: this.items.filter(i => i.status === 'decrease').length
+            decrease: this.items.filter(i => i.status === 'decrease').length,
+            cartonsAdded,
+            cartonsRemoved
         };
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PDFParser, REPORT_COLUMNS, OPS_SUPPLY_WRINS };
+}
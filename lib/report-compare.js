@@ -0,0 +1,63 @@
+// Compares two parsed MB Sync reports item by item (matched on WRIN) so a manager can
+// see what moved since the last proposal and what they decided about it back then.
+
+const COMPARE_FIELDS = [
+    { key: 'proposedQty', label: 'Proposed' },
+    { key: 'stock', label: 'RSP' },
+    { key: 'transit', label: 'Transit' }
+];
+
+// Leading zeros come and go between exports, so '01234' and '1234' are the same item
+function wrinKey(wrin) {
+    const digits = String(wrin || '').trim();
+    return /^\d+$/.test(digits) ? String(parseInt(digits, 10)) : digits;
+}
+
+function compareReports(currentItems, previousItems) {
+    const previousByWrin = new Map();
+    (previousItems || []).forEach(item => previousByWrin.set(wrinKey(item.wrin), item));
+
+    const items = {};
+    const summary = { new: 0, changed: 0, unchanged: 0, removed: 0 };
+    const seen = new Set();
+
+    (currentItems || []).forEach(item => {
+        const key = wrinKey(item.wrin);
+        const previous = previousByWrin.get(key);
+        seen.add(key);
+
+        if (!previous) {
+            items[item.wrin] = { change: 'new', fields: [], previous: null };
+            summary.new++;
+            return;
+        }
+
+        const fields = COMPARE_FIELDS
+            .filter(f => (previous[f.key] || 0) !== (item[f.key] || 0))
+            .map(f => ({ key: f.key, label: f.label, from: previous[f.key] || 0, to: item[f.key] || 0 }));
+
+        const change = fields.length > 0 ? 'changed' : 'unchanged';
+        summary[change]++;
+
+        items[item.wrin] = {
+            change,
+            fields,
+            previous: {
+                status: previous.status,
+                reason: previous.reason || '',
+                comment: previous.comment || '',
+                actualStock: previous.actualStock,
+                adjustedQty: previous.adjustedQty
+            }
+        };
+    });
+
+    const removed = (previousItems || []).filter(item => !seen.has(wrinKey(item.wrin)));
+    summary.removed = removed.length;
+
+    return { items, removed, summary };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { compareReports, wrinKey, COMPARE_FIELDS };
+}
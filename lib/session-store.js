@@ -0,0 +1,124 @@
+// Session history for the web app, kept in IndexedDB so a manager can look back at past reports.
+// One entry per store + report date; each holds the parsed items, the decisions made on them
+// and the last workbook generated for that report.
+
+const APP_DB_NAME = 'mbSync';
+const APP_DB_VERSION = 4;
+const APP_DB_STORES = ['sessions', 'templates', 'packSizes', 'opsSupplies'];
+
+// The app keeps one IndexedDB database; each store class works on one object store in it
+class IndexedStore {
+    constructor(storeName, options = {}) {
+        this.storeName = storeName;
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    APP_DB_STORES.forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'id' });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    async list() {
+        const entries = await this.run('readonly', store => store.getAll());
+        return (entries || []).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
+
+class SessionStore extends IndexedStore {
+    constructor(options = {}) {
+        super('sessions', options);
+    }
+
+    // Same store and report date → same session, so re-uploading a report finds its earlier decisions
+    // A report missing its store or date can't be told apart from others like it,
+    // so new sessions pass a fallback (file name + time) to keep them separate
+    static sessionKey(reportMeta, fallback = null) {
+        const meta = reportMeta || {};
+        const store = meta.storeNumber || meta.storeName || 'unknown-store';
+        const date = meta.reportDate || 'undated';
+        const complete = (meta.storeNumber || meta.storeName) && meta.reportDate;
+        return complete || !fallback ? `${store}|${date}` : `${store}|${date}|${fallback}`;
+    }
+
+    static duplicateKey(id, existingIds) {
+        const base = id.split('#')[0];
+        let copy = 2;
+        while (existingIds.includes(`${base}#${copy}`)) copy++;
+        return `${base}#${copy}`;
+    }
+
+    // Merges into the stored entry so a save of the items never drops the saved workbook.
+    // Read and write share one transaction, so overlapping saves can't undo each other.
+    async update(id, changes) {
+        let session = null;
+        await this.run('readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                session = Object.assign({ id, createdAt: Date.now() }, request.result, changes, { updatedAt: Date.now() });
+                store.put(session);
+            };
+            return null;
+        });
+        return session;
+    }
+
+    async duplicate(id) {
+        const original = await this.get(id);
+        if (!original) throw new Error('Session not found');
+
+        const ids = (await this.list()).map(s => s.id);
+        const copy = JSON.parse(JSON.stringify(Object.assign({}, original, { workbook: null })));
+        copy.id = SessionStore.duplicateKey(id, ids);
+        copy.workbook = original.workbook || null;
+        copy.createdAt = Date.now();
+        copy.updatedAt = Date.now();
+        await this.put(copy);
+        return copy;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedStore, SessionStore };
+}
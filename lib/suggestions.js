@@ -0,0 +1,144 @@
+// Usage-based suggestions: works out how fast each WRIN is used between saved reports and
+// checks whether this report's proposal covers the usage until the next one.
+// Suggestions only pre-mark items; the manager still confirms every change.
+
+const SUGGESTION_DEFAULTS = {
+    // Ignore gaps smaller than this many cartons, or this share of the expected usage
+    minGap: 1,
+    relativeGap: 0.2,
+    // Days until the next report when the history is too short to tell
+    defaultIntervalDays: 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report dates are printed day first (12/05/2025); ISO dates are accepted too
+function parseReportDate(text) {
+    const value = String(text || '').trim();
+
+    const dayFirst = value.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})$/);
+    if (dayFirst) {
+        const year = parseInt(dayFirst[3], 10);
+        return Date.UTC(year < 100 ? 2000 + year : year, parseInt(dayFirst[2], 10) - 1, parseInt(dayFirst[1], 10));
+    }
+
+    const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) {
+        return Date.UTC(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+    }
+
+    return null;
+}
+
+const usageKey = typeof wrinKey !== 'undefined' ? wrinKey : require('./report-compare').wrinKey;
+const isStockCounted = typeof hasStock !== 'undefined' ? hasStock : require('./validation').hasStock;
+
+// A counted stock beats the RSP printed on the report
+function stockOnHand(item) {
+    return isStockCounted(item) ? Number(item.actualStock) : (item.stock || 0);
+}
+
+// reports: [{ date (ms), items }] for one store, oldest first
+function estimateUsage(reports) {
+    const usage = {};
+
+    for (let i = 1; i < reports.length; i++) {
+        const previous = reports[i - 1];
+        const current = reports[i];
+        const days = (current.date - previous.date) / DAY_MS;
+        if (days <= 0) continue;
+
+        const previousByWrin = new Map();
+        previous.items.forEach(item => previousByWrin.set(usageKey(item.wrin), item));
+
+        current.items.forEach(item => {
+            const key = usageKey(item.wrin);
+            const before = previousByWrin.get(key);
+            if (!before) return;
+
+            // What was there + what was ordered − what is still there (on hand or still on its way)
+            const ordered = before.adjustedQty !== undefined && before.adjustedQty !== null ? before.adjustedQty : (before.proposedQty || 0);
+            const used = stockOnHand(before) + (before.transit || 0) + ordered - stockOnHand(item) - (item.transit || 0);
+
+            // Negative usage means a delivery or count we can't see; it would only skew the rate
+            if (used < 0) return;
+
+            if (!usage[key]) usage[key] = { rates: [] };
+            usage[key].rates.push(used / days);
+        });
+    }
+
+    Object.values(usage).forEach(entry => {
+        const n = entry.rates.length;
+        entry.dailyUsage = entry.rates.reduce((sum, r) => sum + r, 0) / n;
+        const variance = entry.rates.reduce((sum, r) => sum + Math.pow(r - entry.dailyUsage, 2), 0) / n;
+        entry.variation = entry.dailyUsage > 0 ? Math.sqrt(variance) / entry.dailyUsage : 0;
+    });
+
+    return usage;
+}
+
+function confidenceFor(entry) {
+    const samples = entry.rates.length;
+    if (samples >= 3 && entry.variation <= 0.25) return 'high';
+    if (samples >= 2 && entry.variation <= 0.5) return 'medium';
+    return 'low';
+}
+
+// history: [{ reportDate, items }] of earlier reports for the same store, any order
+function suggestAdjustments(items, reportDate, history, options = {}) {
+    const settings = Object.assign({}, SUGGESTION_DEFAULTS, options);
+    const currentDate = parseReportDate(reportDate);
+
+    const reports = (history || [])
+        .map(h => ({ date: parseReportDate(h.reportDate), items: h.items || [] }))
+        .filter(r => r.date !== null && (currentDate === null || r.date < currentDate))
+        .sort((a, b) => a.date - b.date);
+
+    if (reports.length === 0) return {};
+
+    // The gap between reports is the best guess for how long this order has to last
+    const intervals = [];
+    for (let i = 1; i < reports.length; i++) intervals.push((reports[i].date - reports[i - 1].date) / DAY_MS);
+    if (currentDate !== null) intervals.push((currentDate - reports[reports.length - 1].date) / DAY_MS);
+    const positive = intervals.filter(d => d > 0);
+    const intervalDays = positive.length > 0
+        ? positive.reduce((sum, d) => sum + d, 0) / positive.length
+        : settings.defaultIntervalDays;
+
+    // This report closes the last interval, so its stock counts feed the usage too
+    if (currentDate !== null) reports.push({ date: currentDate, items });
+
+    const usage = estimateUsage(reports);
+    const suggestions = {};
+
+    items.forEach(item => {
+        const entry = usage[usageKey(item.wrin)];
+        if (!entry) return;
+
+        const expectedUsage = entry.dailyUsage * intervalDays;
+        const available = stockOnHand(item) + (item.transit || 0) + (item.proposedQty || 0);
+        const gap = available - expectedUsage;
+        const threshold = Math.max(settings.minGap, settings.relativeGap * expectedUsage);
+
+        if (Math.abs(gap) <= threshold) return;
+
+        const round = (n) => Math.round(n * 10) / 10;
+        suggestions[item.wrin] = {
+            action: gap < 0 ? 'increase' : 'decrease',
+            confidence: confidenceFor(entry),
+            dailyUsage: round(entry.dailyUsage),
+            expectedUsage: round(expectedUsage),
+            available: round(available),
+            suggestedQty: Math.max(0, Math.round((item.proposedQty || 0) - gap)),
+            samples: entry.rates.length,
+            intervalDays: round(intervalDays)
+        };
+    });
+
+    return suggestions;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { suggestAdjustments, estimateUsage, parseReportDate, SUGGESTION_DEFAULTS };
+}
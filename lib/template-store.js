@@ -0,0 +1,60 @@
+// Uploaded versions of the Change Request Form, kept in IndexedDB next to the sessions.
+// The built-in TEMPLATE_DATA stays the default; a region can switch to any stored version.
+
+const ACTIVE_TEMPLATE_KEY = 'mbSync_activeTemplate';
+
+const TemplateBase = typeof IndexedStore !== 'undefined' ? IndexedStore : require('./session-store').IndexedStore;
+
+class TemplateStore extends TemplateBase {
+    constructor(options = {}) {
+        super('templates', options);
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    async add({ name, fileName, data, reasons = [] }) {
+        const template = {
+            id: `template-${Date.now()}`,
+            name,
+            fileName,
+            data, // base64, same shape as TEMPLATE_DATA
+            reasons,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        await this.put(template);
+        return template;
+    }
+
+    // null means the built-in form
+    getActiveId() {
+        return this.storage ? this.storage.getItem(ACTIVE_TEMPLATE_KEY) : null;
+    }
+
+    setActiveId(id) {
+        if (!this.storage) return;
+        if (id) {
+            this.storage.setItem(ACTIVE_TEMPLATE_KEY, id);
+        } else {
+            this.storage.removeItem(ACTIVE_TEMPLATE_KEY);
+        }
+    }
+
+    async getActive() {
+        const id = this.getActiveId();
+        if (!id) return null;
+
+        const template = await this.get(id);
+        // The active version was deleted elsewhere; fall back to the built-in form
+        if (!template) this.setActiveId(null);
+        return template || null;
+    }
+
+    async delete(id) {
+        if (this.getActiveId() === id) this.setActiveId(null);
+        return super.delete(id);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateStore };
+}
@@ -0,0 +1,107 @@
+// Export checks for adjusted items. Each rule looks at one item and returns a message when
+// something is off. Errors block the export; warnings are shown on the card and let it through.
+// Deferred errors (things simply not filled in yet) only show once an export attempt flags the item.
+// Add a rule by pushing { id, level, deferred, check(item, options) } onto VALIDATION_RULES (or pass a list).
+
+// Shared with suggestions and the count walk: a stock on hand has been entered for this item
+const hasStock = (item) => item.actualStock !== null && item.actualStock !== undefined && !isNaN(item.actualStock);
+const isAdjusted = (item) => item.status === 'increase' || item.status === 'decrease';
+
+// Cases of one can't be split, so their counts have to be whole numbers
+function isWholeCaseItem(item, options) {
+    if (options.wholeCaseWrins) return options.wholeCaseWrins.includes(item.wrin);
+    return item.unitsPerCase === 1;
+}
+
+const VALIDATION_RULES = [
+    {
+        id: 'ops-supply',
+        level: 'error',
+        check: (item) => item.opsSupply && isAdjusted(item)
+            ? 'Ops Supplies can\'t be changed on the Change Request Form'
+            : null
+    },
+    {
+        id: 'missing-stock',
+        level: 'error',
+        deferred: true,
+        check: (item) => isAdjusted(item) && !hasStock(item)
+            ? 'Enter the stock on hand'
+            : null
+    },
+    {
+        id: 'missing-reason',
+        level: 'error',
+        deferred: true,
+        check: (item) => isAdjusted(item) && !item.reason
+            ? 'Select a reason for the change'
+            : null
+    },
+    {
+        id: 'reason-not-allowed',
+        level: 'error',
+        check: (item, options) => item.reason && options.allowedReasons && !options.allowedReasons.includes(item.reason)
+            ? `"${item.reason}" is no longer a reason on the Change Request Form. Pick another`
+            : null
+    },
+    {
+        id: 'negative-stock',
+        level: 'error',
+        check: (item) => hasStock(item) && item.actualStock < 0
+            ? 'Stock on hand can\'t be negative'
+            : null
+    },
+    {
+        id: 'fractional-stock',
+        level: 'error',
+        check: (item, options) => hasStock(item) && !Number.isInteger(Number(item.actualStock)) && isWholeCaseItem(item, options)
+            ? 'This item is counted in whole cases'
+            : null
+    },
+    {
+        id: 'stock-over-proposal',
+        level: 'warning',
+        check: (item) => hasStock(item) && item.proposedQty > 0 && item.actualStock > 5 * item.proposedQty
+            ? `Stock on hand is over 5× the proposed qty (${item.proposedQty}). Counted units instead of cases?`
+            : null
+    },
+    {
+        // There's no list of core lines to check against, so go by the report's own forecast
+        id: 'frozen-order-cancelled',
+        level: 'warning',
+        check: (item) => item.status === 'decrease' && item.storageType === 'Frozen' &&
+            item.adjustedQty === 0 && hasStock(item) && (item.forecastUsage || 0) > 0
+            ? 'This decrease cancels the whole order for a frozen item the report still forecasts usage for'
+            : null
+    },
+    {
+        id: 'manual-reason-mismatch',
+        level: 'warning',
+        check: (item) => item.reason === 'Manual Items' && item.storageType !== 'Manual Items'
+            ? `"Manual Items" is the reason, but this is a ${item.storageType || 'non-manual'} item`
+            : null
+    }
+];
+
+function validateItem(item, rules = VALIDATION_RULES, options = {}) {
+    const issues = [];
+    rules.forEach(rule => {
+        const message = rule.check(item, options);
+        if (message) issues.push({ wrin: item.wrin, rule: rule.id, level: rule.level, deferred: !!rule.deferred, message });
+    });
+    return issues;
+}
+
+function validateItems(items, rules = VALIDATION_RULES, options = {}) {
+    const issues = [];
+    items.forEach(item => issues.push(...validateItem(item, rules, options)));
+
+    return {
+        errors: issues.filter(i => i.level === 'error'),
+        warnings: issues.filter(i => i.level === 'warning')
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VALIDATION_RULES, hasStock, validateItem, validateItems };
+}
@@ -0,0 +1,94 @@
+// Service worker: keeps the app usable in back-of-house areas with no Wi-Fi.
+// Everything needed to upload, review and export is cached on install. The app's own files
+// are fetched fresh when there is a connection (so updates still land) and served from the
+// cache when there isn't. Bump CACHE_VERSION when files are added to or removed from APP_SHELL.
+
+const CACHE_VERSION = 'mbsync-v7';
+
+// Keep in step with index.html, including the ?v= on pdf-parser.js
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'appicon.jpg',
+    'lib/vendor/pdf.min.js',
+    'lib/vendor/pdf.worker.min.js',
+    'lib/vendor/exceljs.min.js',
+    'lib/vendor/jszip.min.js',
+    'lib/report-compare.js',
+    'lib/pdf-parser.js?v=10',
+    'lib/template-data.js', // the built-in Change Request Form
+    'lib/logo-data.js',
+    'lib/csv.js',
+    'lib/excel-gen.js',
+    'lib/session-store.js',
+    'lib/template-store.js',
+    'lib/validation.js',
+    'lib/suggestions.js',
+    'lib/count-walk.js',
+    'lib/pack-sizes.js',
+    'lib/ops-supplies.js',
+    'lib/decision-history.js',
+    'lib/item-view.js'
+];
+
+async function fromNetwork(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function fromCache(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    // An old ?v= still beats nothing when offline
+    return (await cache.match(request)) || cache.match(request, { ignoreSearch: true });
+}
+
+if (typeof self !== 'undefined' && typeof module === 'undefined') {
+    self.addEventListener('install', event => {
+        event.waitUntil(
+            caches.open(CACHE_VERSION)
+                .then(cache => cache.addAll(APP_SHELL))
+                .then(() => self.skipWaiting())
+        );
+    });
+
+    self.addEventListener('activate', event => {
+        event.waitUntil(
+            caches.keys()
+                .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+                .then(() => self.clients.claim())
+        );
+    });
+
+    self.addEventListener('fetch', event => {
+        const { request } = event;
+        if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+        // The libraries never change under the same name, so the cache answers first
+        if (request.url.includes('/lib/vendor/')) {
+            event.respondWith(fromCache(request).then(cached => cached || fromNetwork(request)));
+            return;
+        }
+
+        event.respondWith(
+            fromNetwork(request).catch(async error => {
+                const cached = await fromCache(request);
+                if (cached) return cached;
+                // Opening the app offline at any path should still land on the app
+                if (request.mode === 'navigate') return fromCache(new Request('index.html'));
+                throw error;
+            })
+        );
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { APP_SHELL, CACHE_VERSION };
+}
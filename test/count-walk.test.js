@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildCountWalk, countWalkProgress, classifyCount } = require('../lib/count-walk');
+
+const ITEMS = [
+    { wrin: '1', storageType: 'Frozen', stock: 5, actualStock: null },
+    { wrin: '2', storageType: 'Dry', stock: 3, actualStock: 3 },
+    { wrin: '3', storageType: 'Unknown', stock: 1, actualStock: null },
+    { wrin: '4', storageType: 'Refrigerated', stock: 2, actualStock: 0 },
+    { wrin: '5', storageType: 'Dry', stock: 8, actualStock: null },
+    { wrin: '6', storageType: 'Dry', stock: 1, actualStock: null, opsSupply: true },
+    { wrin: '7', storageType: 'Manual Items', stock: 0, actualStock: null }
+];
+
+test('walks Dry, Refrigerated, Frozen, Manual Items, then anything else, skipping Ops Supplies', () => {
+    const walk = buildCountWalk(ITEMS);
+
+    assert.deepStrictEqual(walk.map(s => s.wrin), ['2', '5', '4', '1', '7', '3']);
+    assert.strictEqual(walk[0].area, 'Dry');
+    assert.strictEqual(walk[5].area, 'Unknown');
+});
+
+test('progress counts what has a stock count in each area', () => {
+    const progress = countWalkProgress(ITEMS, buildCountWalk(ITEMS));
+
+    assert.deepStrictEqual(progress, [
+        { area: 'Dry', total: 2, counted: 1 },
+        { area: 'Refrigerated', total: 1, counted: 1 },
+        { area: 'Frozen', total: 1, counted: 0 },
+        { area: 'Manual Items', total: 1, counted: 0 },
+        { area: 'Unknown', total: 1, counted: 0 }
+    ]);
+});
+
+test('classifies a count against the RSP on the report', () => {
+    assert.strictEqual(classifyCount({ stock: 3, actualStock: 3 }), 'accept');
+    assert.strictEqual(classifyCount({ stock: 3, actualStock: 1.5 }), 'increase');
+    assert.strictEqual(classifyCount({ stock: 3, actualStock: 4 }), 'decrease');
+    assert.strictEqual(classifyCount({ stock: 3, actualStock: null }), null);
+});
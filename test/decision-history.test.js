@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DecisionHistory, snapshotDecision } = require('../lib/decision-history');
+
+function makeItems() {
+    return [
+        { wrin: '11267', status: 'neutral', actualStock: null, adjustedQty: 4, reason: '', comment: '' },
+        { wrin: '6147', status: 'neutral', actualStock: null, adjustedQty: 3, reason: '', comment: 'Keep' }
+    ];
+}
+
+function change(history, items, label, fn, mergeKey) {
+    const befores = {};
+    items.forEach(item => { befores[item.wrin] = snapshotDecision(item); });
+    fn();
+    return history.record(label, befores, items, mergeKey);
+}
+
+test('undoes and redoes a bulk change in one step', () => {
+    const items = makeItems();
+    const history = new DecisionHistory();
+
+    change(history, items, 'Accept all', () => items.forEach(i => { i.status = 'accept'; }));
+    assert.deepStrictEqual(history.undo(items).changes.length, 2);
+    assert.deepStrictEqual(items.map(i => i.status), ['neutral', 'neutral']);
+
+    history.redo(items);
+    assert.deepStrictEqual(items.map(i => i.status), ['accept', 'accept']);
+    assert.strictEqual(history.canRedo(), false);
+});
+
+test('consecutive stock edits on one item merge, and a new action clears redo', () => {
+    const items = makeItems();
+    const history = new DecisionHistory();
+
+    change(history, items, 'Decrease', () => { items[0].status = 'decrease'; });
+    change(history, items, 'Stock', () => { items[0].actualStock = 1; }, 'stock:11267');
+    change(history, items, 'Stock', () => { items[0].actualStock = 12; }, 'stock:11267');
+    assert.strictEqual(history.undoStack.length, 2);
+
+    history.undo(items);
+    assert.strictEqual(items[0].actualStock, null);
+    assert.strictEqual(items[0].status, 'decrease');
+
+    assert.strictEqual(change(history, items, 'Nothing', () => {}), null);
+    change(history, items, 'Accept', () => { items[1].status = 'accept'; });
+    assert.strictEqual(history.canRedo(), false);
+});
+
+test('survives a round trip through JSON', () => {
+    const items = makeItems();
+    const history = new DecisionHistory();
+    change(history, items, 'Increase', () => { items[1].status = 'increase'; items[1].reason = 'Usage'; });
+
+    const restored = DecisionHistory.from(JSON.parse(JSON.stringify(history)));
+    const entry = restored.undo(items);
+
+    assert.strictEqual(entry.label, 'Increase');
+    assert.deepStrictEqual(items[1], { wrin: '6147', status: 'neutral', actualStock: null, adjustedQty: 3, reason: '', comment: 'Keep', stockEntry: null });
+});
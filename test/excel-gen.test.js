@@ -0,0 +1,236 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+
+const { ExcelGenerator } = require('../lib/excel-gen');
+
+const TEMPLATE = path.join(__dirname, '..', 'MB Change Request Form.xlsx');
+
+// The generator narrates every row for the browser console
+const logger = { log() {}, warn() {}, error() {} };
+
+function createGenerator() {
+    return new ExcelGenerator({ ExcelJS, templateData: fs.readFileSync(TEMPLATE).toString('base64'), logger });
+}
+
+function rowValues(worksheet, rowNumber, fromCol, toCol) {
+    const values = [];
+    for (let col = fromCol; col <= toCol; col++) {
+        values.push(worksheet.getRow(rowNumber).getCell(col).value);
+    }
+    return values;
+}
+
+const ITEMS = [
+    { wrin: '11267', name: 'Shake Mix 10l', status: 'increase', actualStock: 4, reason: 'Usage', comment: 'Promo weekend' },
+    { wrin: '6147', name: 'Beef 4:1', status: 'decrease', actualStock: 7.5, reason: 'Shelf Life', comment: '' }
+];
+
+test('writes adjusted items under the table header after the anchor', async () => {
+    const workbook = await createGenerator().generateExcel(ITEMS);
+    const sheet = workbook.getWorksheet('Change Request Form');
+
+    // B: WRIN, C: description, E: type, F: stock on hand, G: reason, H: comment
+    assert.deepStrictEqual(rowValues(sheet, 32, 2, 8), [11267, 'Shake Mix 10l', null, 'Increase', 4, 'Usage', 'Promo weekend']);
+    assert.deepStrictEqual(rowValues(sheet, 33, 2, 8), [6147, 'Beef 4:1', null, 'Decrease', 7.5, 'Shelf Life', '']);
+});
+
+test('fills the restaurant block from the report metadata', async () => {
+    const workbook = await createGenerator().generateExcel(ITEMS, {
+        storeNumber: '1234',
+        storeName: 'Sydney CBD',
+        reportDate: '12/05/2025',
+        user: 'jsmith',
+        processedAt: null
+    });
+    const sheet = workbook.getWorksheet('Change Request Form');
+
+    assert.strictEqual(sheet.getCell('E25').value, 'Sydney CBD');
+    assert.strictEqual(sheet.getCell('E26').value, 1234);
+    assert.strictEqual(sheet.getCell('E28').value, 'Order proposal 12/05/2025');
+});
+
+test('refuses to export Ops Supplies', async () => {
+    const items = [...ITEMS, { wrin: '90210', name: 'Sanitiser 5l', status: 'increase', actualStock: 1, reason: 'Usage', opsSupply: true }];
+
+    await assert.rejects(createGenerator().generateExcel(items), /Ops Supplies are not permitted.*90210/);
+});
+
+test('reads the reason list from the template dropdown', async () => {
+    const { reasons, lists } = await createGenerator().readTemplateOptions();
+
+    assert.deepStrictEqual(reasons, ['Stock On Hand Variance', 'Manual Items', 'Safety Stock', 'Shelf Life', 'Usage']);
+    assert.deepStrictEqual(lists.G32, reasons);
+});
+
+test('checkTemplate accepts the bundled form and explains what an unusable one lacks', async () => {
+    const generator = createGenerator();
+    const good = await generator.checkTemplate(fs.readFileSync(TEMPLATE).toString('base64'));
+    assert.deepStrictEqual(good.problems, []);
+    assert.strictEqual(good.reasons.length, 5);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Change Request Form').getCell('B2').value = 'Reason for Change';
+    const noAnchor = await generator.checkTemplate(Buffer.from(await workbook.xlsx.writeBuffer()).toString('base64'));
+    assert.match(noAnchor.problems[0], /Submit this form/);
+
+    const notXlsx = await generator.checkTemplate(Buffer.from('not a workbook').toString('base64'));
+    assert.match(notXlsx.problems[0], /could not be read/);
+
+    const otherSheet = new ExcelJS.Workbook();
+    otherSheet.addWorksheet('Sheet1');
+    const noSheet = await generator.checkTemplate(Buffer.from(await otherSheet.xlsx.writeBuffer()).toString('base64'));
+    assert.deepStrictEqual(noSheet.problems, ["Sheet 'Change Request Form' not found in the template."]);
+});
+
+function manyItems(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        wrin: String(10000 + i), name: `Item ${i}`, status: 'increase', actualStock: 1, reason: 'Usage', comment: ''
+    }));
+}
+
+test('keeps the Total row and footer in place when the items fit', async () => {
+    const workbook = await createGenerator().generateExcel(ITEMS);
+    const sheet = workbook.getWorksheet('Change Request Form');
+
+    assert.strictEqual(sheet.getCell('H98').value, 'Total');
+    assert.strictEqual(sheet.getCell('I98').value.formula, 'SUM(I32:I97)');
+    assert.match(sheet.getCell('B99').value, /\S/);
+    assert.match(sheet.getCell('B101').value, /\S/);
+});
+
+test('adds styled rows and moves the footer down for more items than the form holds', async () => {
+    const generator = createGenerator();
+    const { workbook: template } = await generator.loadTemplate();
+    const original = template.getWorksheet('Change Request Form');
+    const contact = original.getCell('B99').value;
+    const version = original.getCell('B101').value;
+
+    const workbook = await generator.generateExcel(manyItems(80));
+    const sheet = workbook.getWorksheet('Change Request Form');
+
+    // 66 rows in the form, so the footer drops 14 rows
+    assert.strictEqual(sheet.getCell('B111').value, 10079);
+    assert.strictEqual(sheet.getCell('H112').value, 'Total');
+    assert.strictEqual(sheet.getCell('I112').value.formula, 'SUM(I32:I111)');
+    assert.strictEqual(sheet.getCell('B113').value, contact);
+    assert.strictEqual(sheet.getCell('B115').value, version);
+    assert.ok(sheet.getCell('B113').isMerged);
+
+    // New rows look like the form's own and keep the reason dropdown
+    assert.deepStrictEqual(sheet.getCell('G105').dataValidation, sheet.getCell('G40').dataValidation);
+    assert.deepStrictEqual(sheet.getCell('B105').style.border, sheet.getCell('B40').style.border);
+
+    // The Item Look Up highlight keeps its formula and runs alongside the new rows
+    const [lookup] = sheet.conditionalFormattings;
+    assert.strictEqual(lookup.ref, 'O37:O127');
+    assert.match(lookup.rules[0].formulae[0], /^AND\(\$O37<>"",SUMIF\('Product List'!/);
+
+    // The result still opens, with the highlight saved as a plain rule
+    const reloaded = new ExcelJS.Workbook();
+    await reloaded.xlsx.load(await workbook.xlsx.writeBuffer());
+    const reloadedSheet = reloaded.getWorksheet('Change Request Form');
+    assert.strictEqual(reloadedSheet.getCell('H112').value, 'Total');
+    assert.deepStrictEqual(reloadedSheet.conditionalFormattings.map(cf => [cf.ref, cf.rules[0].formulae]), [['O37:O127', lookup.rules[0].formulae]]);
+});
+
+test('keeps the highlight rules of an uploaded template rather than the bundled one', async () => {
+    // The bundled form with its Item Look Up rule swapped for one of the store's own
+    const zip = await JSZip.loadAsync(fs.readFileSync(TEMPLATE));
+    const sheetXml = await zip.file('xl/worksheets/sheet1.xml').async('string');
+    zip.file('xl/worksheets/sheet1.xml', sheetXml
+        .replace(/\{DF1E17FA-BC3B-4520-BA18-0049A24C034E\}/g, '{0B7C4A3E-5D21-4F0A-9C61-2E8D3F1A7B55}')
+        .replace(/<xm:f>[^<]*<\/xm:f>/, '<xm:f>$O37&gt;10</xm:f>')
+        .replace('<bgColor rgb="FF92D050"/>', '<bgColor rgb="FFFFC000"/>'));
+    const templateData = (await zip.generateAsync({ type: 'nodebuffer' })).toString('base64');
+
+    const workbook = await new ExcelGenerator({ ExcelJS, templateData, logger }).generateExcel(ITEMS);
+    const [lookup] = workbook.getWorksheet('Change Request Form').conditionalFormattings;
+    assert.strictEqual(lookup.ref, 'O37:O113');
+    assert.deepStrictEqual(lookup.rules[0].formulae, ['$O37>10']);
+    assert.deepStrictEqual(lookup.rules[0].style.fill.bgColor, { argb: 'FFFFC000' });
+});
+
+test('reports a template without a request table instead of guessing where to write', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Change Request Form').getCell('B30').value = 'Submit this form';
+    const generator = new ExcelGenerator({ ExcelJS, templateData: Buffer.from(await workbook.xlsx.writeBuffer()).toString('base64'), logger });
+
+    await assert.rejects(generator.generateExcel(ITEMS), /no WRIN header/);
+});
+
+const META = { storeNumber: '1234', storeName: 'Sydney CBD', reportDate: '12/05/2025', user: 'jsmith', processedAt: null };
+
+test('exports every item as CSV with the report details on each row', () => {
+    const { parseCSV } = require('../lib/csv');
+    const items = [
+        { wrin: '11267', name: 'Shake Mix, 10l', storageType: 'Refrigerated', proposedQty: 4, stock: 10, transit: 2, status: 'increase', actualStock: 4, adjustedQty: 6, reason: 'Usage', comment: 'Promo "weekend"' },
+        { wrin: '6147', name: 'Beef 4:1', storageType: 'Frozen', proposedQty: 3, stock: 5, transit: 0, status: 'neutral', actualStock: null, adjustedQty: 3, reason: '', comment: '' }
+    ];
+
+    const rows = parseCSV(createGenerator().generateCSV(items, META));
+
+    assert.strictEqual(rows.length, 2);
+    assert.deepStrictEqual(rows[0], {
+        'Store Number': '1234', 'Store Name': 'Sydney CBD', 'Report Date': '12/05/2025', 'Processed': '', 'User': 'jsmith',
+        'WRIN': '11267', 'Name': 'Shake Mix, 10l', 'Storage Type': 'Refrigerated', 'Proposed Qty': '4', 'RSP': '10', 'Transit': '2',
+        'Status': 'increase', 'Stock On Hand': '4', 'Adjusted Qty': '6', 'Reason': 'Usage', 'Comment': 'Promo "weekend"'
+    });
+    assert.strictEqual(rows[1]['Stock On Hand'], '');
+});
+
+test('a JSON export reads back into the same session', () => {
+    const generator = createGenerator();
+    const items = ITEMS.map(item => ({ ...item, proposedQty: 2, stock: 1, transit: 0, adjustedQty: 3 }));
+
+    const restored = generator.readSessionExport(generator.generateJSON(items, META, { diagnostics: [{ message: 'x' }] }));
+
+    assert.deepStrictEqual(restored, { reportMeta: META, items, diagnostics: [{ message: 'x' }] });
+    assert.throws(() => generator.readSessionExport('{"items": []}'), /not an MB Sync export/);
+    assert.throws(() => generator.readSessionExport('nope'), /not valid JSON/);
+});
+
+test('a JSON export is checked item by item before it is restored', () => {
+    const generator = createGenerator();
+    const item = { ...ITEMS[0], proposedQty: 2, stock: 1, transit: 0 };
+    const exportOf = (changes) => generator.generateJSON([{ ...item, ...changes }], META);
+
+    const { items } = generator.readSessionExport(exportOf({ wrin: 11267 }));
+    assert.strictEqual(items[0].wrin, '11267');
+
+    assert.throws(() => generator.readSessionExport(exportOf({ wrin: '11267<img>' })), /Item 1 .* no valid WRIN/);
+    assert.throws(() => generator.readSessionExport(exportOf({ name: undefined })), /no description/);
+    assert.throws(() => generator.readSessionExport(exportOf({ storageType: ['Dry'] })), /storageType that isn't text/);
+    assert.throws(() => generator.readSessionExport(exportOf({ status: 'maybe' })), /unknown status/);
+    assert.throws(() => generator.readSessionExport(exportOf({ proposedQty: '4' })), /proposedQty that isn't a number/);
+    assert.throws(() => generator.readSessionExport(exportOf({ actualStock: '4' })), /actualStock that isn't a number/);
+
+    // The card and the ordering maths can't do without the proposal, RSP and transit
+    assert.throws(() => generator.readSessionExport(exportOf({ proposedQty: undefined })), /has no Proposed Qty/);
+    assert.throws(() => generator.readSessionExport(exportOf({ stock: null, transit: undefined })), /has no RSP, In Transit/);
+});
+
+test('share message names the store and report date and lists the changes', () => {
+    const generator = createGenerator();
+    const items = [
+        { wrin: '11267', name: 'Shake Mix 10l', status: 'increase', proposedQty: 4, adjustedQty: 6, reason: 'Usage' },
+        { wrin: '6147', name: 'Beef 4:1', status: 'decrease', proposedQty: 3, adjustedQty: 1.5, reason: '' }
+    ];
+
+    const message = generator.buildShareMessage(items, META);
+
+    assert.strictEqual(message.subject, 'MB Change Request - Store #1234 Sydney CBD - 12/05/2025');
+    assert.match(message.text, /1 increase \(\+2 cartons\), 1 decrease \(-1\.5 cartons\)/);
+    assert.match(message.text, /Increase 11267 Shake Mix 10l: 4 -> 6 \(Usage\)/);
+    assert.match(message.text, /Decrease 6147 Beef 4:1: 3 -> 1\.5$/);
+
+    const link = generator.mailtoLink(message, 'MB_Change_Request_1234.xlsx');
+    assert.ok(link.startsWith('mailto:?subject=MB%20Change%20Request%20-%20Store%20%231234'));
+    assert.match(decodeURIComponent(link), /Please find MB_Change_Request_1234\.xlsx attached\.$/);
+
+    // Node has no share sheet, so the app downloads instead
+    assert.strictEqual(generator.canShareFiles(), false);
+});
@@ -0,0 +1,54 @@
+// Builds a minimal single-font PDF from positioned text so the parser can be exercised
+// end to end through pdf.js without shipping binary fixtures.
+// pages: [[[text, x, y], ...], ...] in PDF points, origin bottom-left.
+
+function escapeText(text) {
+    return text
+        .replace(/[\\()]/g, m => '\\' + m)
+        .replace(/–/g, '\x96') // en-dash lives at 0x96 in WinAnsiEncoding
+        .replace(/—/g, '\x97');
+}
+
+function buildPdf(pages) {
+    const objects = [];
+    const add = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const pagesId = add(null); // filled in once the kids exist
+    const kids = [];
+
+    for (const cells of pages) {
+        const stream = cells.map(([text, x, y]) => `BT /F1 8 Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`).join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        kids.push(add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 842 595] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`));
+    }
+
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+    const catalogId = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(out, 'latin1');
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(out, 'latin1');
+}
+
+// Stand-in for the browser File the parser expects
+function pdfFile(buffer) {
+    return {
+        arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    };
+}
+
+module.exports = { buildPdf, pdfFile };
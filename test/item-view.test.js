@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { sortItems, needsAttention, matchesStatusFilter } = require('../lib/item-view');
+
+const ITEMS = [
+    { wrin: '11267', name: 'Shake Mix', proposedQty: 4, stock: 10, transit: 2, status: 'accept' },
+    { wrin: '6147', name: 'Beef 4:1', proposedQty: 0, stock: 1, transit: 0, status: 'increase' },
+    { wrin: '901', name: 'Cups 16oz', proposedQty: 0, stock: 12, transit: 0, status: 'neutral' },
+    { wrin: '4410', name: 'Apple Pie', proposedQty: 6, stock: 1, transit: 5, status: 'decrease' }
+];
+
+const order = (items) => items.map(i => i.wrin);
+
+test('sorts by each column and keeps the report order by default', () => {
+    assert.deepStrictEqual(order(sortItems(ITEMS, 'report')), ['11267', '6147', '901', '4410']);
+    assert.deepStrictEqual(order(sortItems(ITEMS, 'wrin')), ['901', '4410', '6147', '11267']);
+    assert.deepStrictEqual(order(sortItems(ITEMS, 'name')), ['4410', '6147', '901', '11267']);
+    assert.deepStrictEqual(order(sortItems(ITEMS, 'proposed')), ['4410', '11267', '6147', '901']);
+    assert.deepStrictEqual(order(sortItems(ITEMS, 'rsp')), ['6147', '4410', '11267', '901']);
+    assert.deepStrictEqual(order(sortItems(ITEMS, 'transit')), ['4410', '11267', '6147', '901']);
+    assert.deepStrictEqual(order(sortItems(ITEMS, 'status')), ['901', '6147', '4410', '11267']);
+    assert.deepStrictEqual(order(ITEMS), ['11267', '6147', '901', '4410']);
+});
+
+test('needs attention: unreviewed items and zero proposals with low RSP', () => {
+    assert.deepStrictEqual(order(ITEMS.filter(i => needsAttention(i))), ['6147', '901']);
+
+    // With a forecast, low means on hand + transit short of it
+    assert.strictEqual(needsAttention({ status: 'accept', proposedQty: 0, stock: 5, transit: 1, forecastUsage: 8 }), true);
+    assert.strictEqual(needsAttention({ status: 'accept', proposedQty: 0, stock: 5, transit: 4, forecastUsage: 8 }), false);
+    assert.strictEqual(needsAttention({ status: 'neutral', opsSupply: true }), false);
+});
+
+test('status filters, including invalid from the app\'s own check', () => {
+    const isInvalid = (item) => item.wrin === '4410';
+
+    assert.deepStrictEqual(order(ITEMS.filter(i => matchesStatusFilter(i, 'unreviewed'))), ['901']);
+    assert.deepStrictEqual(order(ITEMS.filter(i => matchesStatusFilter(i, 'increase'))), ['6147']);
+    assert.deepStrictEqual(order(ITEMS.filter(i => matchesStatusFilter(i, 'invalid', { isInvalid }))), ['4410']);
+    assert.strictEqual(ITEMS.filter(i => matchesStatusFilter(i, 'all')).length, 4);
+});
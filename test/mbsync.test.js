@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+const { run, readAdjustments, applyAdjustments } = require('../bin/mbsync');
+const { PDFParser } = require('../lib/pdf-parser');
+const { ExcelGenerator } = require('../lib/excel-gen');
+const { buildPdf } = require('./helpers/build-pdf');
+
+const LAYOUT = path.join(__dirname, 'fixtures', 'pdf', 'geometric.layout.json');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mbsync-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function reportParser() {
+    const parser = new PDFParser();
+    parser.items = parser.parseTextLines([
+        '11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated',
+        '077881 CUP SD 12 5 6 48 1 1 0 Dry'
+    ]);
+    return parser;
+}
+
+test('readAdjustments maps CSV header spellings onto the adjustment fields', (t) => {
+    const file = path.join(tempDir(t), 'adjustments.csv');
+    fs.writeFileSync(file, 'WRIN Number,Reduction Type,SOH,Reason for Change,Notes\n11267,Increase,4,Usage,"Promo, weekend"\n');
+
+    assert.deepStrictEqual(readAdjustments(file), [
+        { wrin: '11267', status: 'Increase', stock: '4', reason: 'Usage', comment: 'Promo, weekend' }
+    ]);
+});
+
+test('readAdjustments reads a JSON list and rejects anything else', (t) => {
+    const dir = tempDir(t);
+    const list = path.join(dir, 'adjustments.json');
+    fs.writeFileSync(list, JSON.stringify([{ wrin: 11267, status: 'decrease', stock: 12, reason: 'Shelf Life', extra: 'ignored' }]));
+    assert.deepStrictEqual(readAdjustments(list), [{ wrin: 11267, status: 'decrease', stock: 12, reason: 'Shelf Life' }]);
+
+    const single = path.join(dir, 'single.json');
+    fs.writeFileSync(single, JSON.stringify({ wrin: '11267' }));
+    assert.throws(() => readAdjustments(single), /must contain a list of adjustments/);
+});
+
+test('applyAdjustments updates matching items and reports rows it cannot use', () => {
+    const parser = reportParser();
+    const problems = applyAdjustments(parser, [
+        { wrin: '11267', status: 'Increase', stock: '4', reason: 'Usage', comment: ' Promo ' },
+        { wrin: '77881', status: 'decrease', stock: '', reason: 'Shelf Life' },
+        { wrin: '99999', status: 'accept' },
+        { wrin: '77881', status: 'skip' }
+    ]);
+
+    assert.deepStrictEqual(problems, [
+        'Row 2 (WRIN 77881): stock on hand is required to decrease an item',
+        'Row 3 (WRIN 99999): WRIN not found in the report',
+        'Row 4 (WRIN 77881): status must be increase, decrease or accept'
+    ]);
+
+    const [shake] = parser.getItems();
+    assert.strictEqual(shake.status, 'increase');
+    assert.strictEqual(shake.actualStock, 4);
+    assert.strictEqual(shake.comment, 'Promo');
+});
+
+test('applyAdjustments matches WRINs that lost their leading zeros', () => {
+    const parser = reportParser();
+    assert.deepStrictEqual(applyAdjustments(parser, [{ wrin: '77881', status: 'decrease', stock: 8, reason: 'Shelf Life' }]), []);
+    assert.strictEqual(parser.getItems()[1].status, 'decrease');
+
+    // Only the leading zeros are forgiven, not trailing junk
+    assert.deepStrictEqual(applyAdjustments(parser, [{ wrin: '77881abc', status: 'accept' }]), ['Row 1 (WRIN 77881abc): WRIN not found in the report']);
+});
+
+test('a CSV exported by the app reads back as adjustments', (t) => {
+    const exported = reportParser();
+    exported.updateItemStatus('077881', 'decrease', 8, 'Shelf Life', 'Overstocked');
+    const file = path.join(tempDir(t), 'export.csv');
+    fs.writeFileSync(file, new ExcelGenerator({ ExcelJS }).generateCSV(exported.getItems(), { storeNumber: '1234' }));
+
+    // 11267 was never reviewed, so it comes back as accepted
+    const parser = reportParser();
+    assert.deepStrictEqual(applyAdjustments(parser, readAdjustments(file)), []);
+    assert.deepStrictEqual(parser.getItems().map(i => [i.wrin, i.status, i.actualStock, i.reason, i.comment]), [
+        ['11267', 'accept', null, null, ''],
+        ['077881', 'decrease', 8, 'Shelf Life', 'Overstocked']
+    ]);
+});
+
+test('run writes the Change Request Form from a PDF and a CSV', async (t) => {
+    const dir = tempDir(t);
+    const pdfPath = path.join(dir, 'report.pdf');
+    const csvPath = path.join(dir, 'adjustments.csv');
+    const outputPath = path.join(dir, 'out.xlsx');
+
+    fs.writeFileSync(pdfPath, buildPdf(JSON.parse(fs.readFileSync(LAYOUT, 'utf8')).pages));
+    fs.writeFileSync(csvPath, 'wrin,status,stock,reason,comment\n77881,decrease,8,Shelf Life,Overstocked\n11267,accept,,,\n');
+
+    assert.strictEqual(await run([pdfPath, csvPath, '-o', outputPath]), 0);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(outputPath);
+    const row = workbook.worksheets[0].getRow(32);
+    assert.deepStrictEqual([2, 3, 5, 6, 7, 8].map(col => row.getCell(col).value), [77881, 'Cup Sd 23.1', 'Decrease', 8, 'Shelf Life', 'Overstocked']);
+});
+
+test('run writes nothing when an adjustment cannot be applied', async (t) => {
+    const dir = tempDir(t);
+    const pdfPath = path.join(dir, 'report.pdf');
+    const csvPath = path.join(dir, 'adjustments.csv');
+    const outputPath = path.join(dir, 'out.xlsx');
+
+    fs.writeFileSync(pdfPath, buildPdf(JSON.parse(fs.readFileSync(LAYOUT, 'utf8')).pages));
+    fs.writeFileSync(csvPath, 'wrin,status,stock,reason\n12345,increase,1,Usage\n');
+
+    assert.strictEqual(await run([pdfPath, csvPath, '-o', outputPath]), 1);
+    assert.strictEqual(fs.existsSync(outputPath), false);
+});
+
+test('run treats WRINs from --ops-supplies as Ops Supplies', async (t) => {
+    const dir = tempDir(t);
+    const pdfPath = path.join(dir, 'report.pdf');
+    const csvPath = path.join(dir, 'adjustments.csv');
+    const opsPath = path.join(dir, 'ops.txt');
+    const outputPath = path.join(dir, 'out.xlsx');
+
+    fs.writeFileSync(pdfPath, buildPdf(JSON.parse(fs.readFileSync(LAYOUT, 'utf8')).pages));
+    fs.writeFileSync(csvPath, 'wrin,status,stock,reason\n77881,decrease,8,Shelf Life\n');
+    fs.writeFileSync(opsPath, '77881\n');
+
+    assert.strictEqual(await run([pdfPath, csvPath, '-o', outputPath, '--ops-supplies', opsPath]), 1);
+    assert.strictEqual(fs.existsSync(outputPath), false);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { readOpsSuppliesList } = require('../lib/ops-supplies');
+const { PDFParser } = require('../lib/pdf-parser');
+
+test('reads the WRIN column of a CSV and reports rows that aren\'t WRINs', () => {
+    const { wrins, problems } = readOpsSuppliesList('Description,WRIN Number\nSanitiser 5L,90210\nGloves,090210\nBin liners,n/a\n');
+
+    // 090210 is 90210 again once the leading zero goes
+    assert.deepStrictEqual(wrins, ['90210']);
+    assert.deepStrictEqual(problems, ['Row 4: "n/a" isn\'t a WRIN']);
+});
+
+test('reads a plain list typed one per line or comma separated', () => {
+    assert.deepStrictEqual(readOpsSuppliesList('90210\n 12345, 55555\n\n'), { wrins: ['90210', '12345', '55555'], problems: [] });
+    assert.deepStrictEqual(readOpsSuppliesList('').wrins, []);
+});
+
+test('the parser treats listed WRINs as Ops Supplies without the heading', () => {
+    const { wrins } = readOpsSuppliesList('WRIN\n90210\n');
+    const items = new PDFParser({ opsSupplyWrins: wrins }).parseTextLines([
+        '11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated',
+        '090210 SANITISER 5L 2 1 3 0 1 1 0 Dry'
+    ]);
+
+    assert.deepStrictEqual(items.map(i => i.opsSupply), [false, true]);
+});
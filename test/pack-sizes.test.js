@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { packForItem, parseStockEntry, readPackSizesCSV } = require('../lib/pack-sizes');
+
+const CATALOG = { 11267: { wrin: '11267', unitsPerSleeve: 6, sleevesPerCase: 4 } };
+
+test('converts cases, sleeves and units to cartons', () => {
+    const pack = packForItem({ wrin: '011267', unitsPerCase: 24 }, CATALOG);
+
+    assert.deepStrictEqual(pack, { unitsPerSleeve: 6, sleevesPerCase: 4, unitsPerCase: 24 });
+    assert.strictEqual(parseStockEntry('2 cs + 3 sl + 6 ea', pack), 3);
+    assert.strictEqual(parseStockEntry('2cs 3sl', pack), 2.75);
+    assert.strictEqual(parseStockEntry('5 ea', pack), 0.208333);
+    assert.strictEqual(parseStockEntry('1.5', pack), 1.5);
+    assert.strictEqual(parseStockEntry('  ', pack), null);
+});
+
+test('without a catalog entry only cases and units (from the report) convert', () => {
+    const pack = packForItem({ wrin: '6147', unitsPerCase: 10 }, CATALOG);
+
+    assert.strictEqual(parseStockEntry('1 cs + 5 ea', pack), 1.5);
+    assert.throws(() => parseStockEntry('2 sl', pack), /sleeves per case/);
+    assert.throws(() => parseStockEntry('3 ea', packForItem({ wrin: '1' }, {})), /units per sleeve/);
+    assert.throws(() => parseStockEntry('2 bags', pack), /isn't a unit/);
+    assert.throws(() => parseStockEntry('two cs', pack), /Couldn't read/);
+});
+
+test('reads a pack size CSV and reports rows it can\'t use', () => {
+    const { packs, problems } = readPackSizesCSV('WRIN,Units per sleeve,Sleeves per case\n11267,6,4\n6147,,2\n');
+
+    assert.deepStrictEqual(packs, [{ wrin: '11267', unitsPerSleeve: 6, sleevesPerCase: 4 }]);
+    assert.deepStrictEqual(problems, ['Row 3: needs a WRIN, units per sleeve and sleeves per case']);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { PDFParser, REPORT_COLUMNS } = require('../lib/pdf-parser');
+const { buildPdf, pdfFile } = require('./helpers/build-pdf');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+function summarize(parser, items) {
+    return {
+        items: items.map(item => {
+            const summary = { wrin: item.wrin, name: item.name, storageType: item.storageType };
+            REPORT_COLUMNS.forEach(c => summary[c.key] = item[c.key]);
+            return summary;
+        }),
+        diagnostics: parser.getDiagnostics().map(d => d.type),
+        reportMeta: parser.getReportMeta()
+    };
+}
+
+function readExpected(dir, name) {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${name}.expected.json`), 'utf8'));
+}
+
+test('text-line dumps', async (t) => {
+    const dir = path.join(FIXTURES, 'lines');
+    const cases = fs.readdirSync(dir).filter(f => f.endsWith('.txt'));
+
+    for (const file of cases) {
+        const name = path.basename(file, '.txt');
+        await t.test(name, () => {
+            const lines = fs.readFileSync(path.join(dir, file), 'utf8').split(/\r?\n/).filter(Boolean);
+            const parser = new PDFParser();
+            const items = parser.parseTextLines(lines);
+            parser.collectItemDiagnostics(items);
+
+            assert.deepStrictEqual(summarize(parser, items), readExpected(dir, name));
+        });
+    }
+});
+
+test('synthetic PDFs', async (t) => {
+    const dir = path.join(FIXTURES, 'pdf');
+    const cases = fs.readdirSync(dir).filter(f => f.endsWith('.layout.json'));
+
+    for (const file of cases) {
+        const name = path.basename(file, '.layout.json');
+        await t.test(name, async () => {
+            const layout = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            const parser = new PDFParser({ pdfjsLib });
+            const items = await parser.parsePDF(pdfFile(buildPdf(layout.pages)));
+
+            assert.deepStrictEqual(summarize(parser, items), readExpected(dir, name));
+        });
+    }
+});
+
+test('text starting on a number column stays out of the name', async () => {
+    const header = [
+        ['WRIN', 30, 520], ['Description', 80, 520], ['Proposed', 330, 520],
+        ['Units/Case', 390, 520], ['RSP', 440, 520], ['Storage', 730, 520]
+    ];
+    const row = (y, cells) => cells.map(([text, x]) => [text, x, y]);
+    const pages = [[
+        ...header,
+        // "SAUCE" spills from the description into Proposed but starts left of it
+        ...row(500, [['12345', 30], ['BIG MAC', 80], ['SAUCE', 320], ['2', 390], ['1', 440], ['Frozen', 730]]),
+        // "TBC" starts exactly where Proposed does, so it isn't part of the description
+        ...row(485, [['23456', 30], ['FILLET', 80], ['TBC', 330], ['2', 390], ['1', 440], ['Frozen', 730]])
+    ]];
+
+    const parser = new PDFParser({ pdfjsLib });
+    const items = await parser.parsePDF(pdfFile(buildPdf(pages)));
+    assert.deepStrictEqual(items.map(i => i.name), ['Big Mac Sauce', 'Fillet']);
+});
+
+test('diagnostics point back at the raw line', () => {
+    const parser = new PDFParser();
+    parser.parseTextLines([
+        'Store # 1234 Sydney CBD',
+        '77881 CUP SD 23.1 5 - 6 48 1 Dry'
+    ]);
+
+    const [entry] = parser.getDiagnostics();
+    assert.strictEqual(entry.type, 'decimal-stripped');
+    assert.strictEqual(entry.wrin, '77881');
+    assert.strictEqual(entry.lineNumber, 2);
+    assert.strictEqual(entry.line, '77881 CUP SD 23.1 5 - 6 48 1 Dry');
+});
+
+test('updateItemStatus adjusts the order against RSP', () => {
+    const parser = new PDFParser();
+    parser.items = parser.parseTextLines(['11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated']);
+
+    parser.updateItemStatus('11267', 'increase', 7, 'Usage');
+    assert.strictEqual(parser.items[0].adjustedQty, 7);
+
+    parser.updateItemStatus('11267', 'decrease', 12, 'Shelf Life');
+    assert.strictEqual(parser.items[0].adjustedQty, 2);
+
+    parser.updateItemStatus('11267', 'accept');
+    assert.strictEqual(parser.items[0].adjustedQty, 4);
+});
+
+test('updateItemStatus keeps the comment unless a new one is given', () => {
+    const parser = new PDFParser();
+    parser.items = parser.parseTextLines(['11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated']);
+
+    parser.updateItemStatus('11267', 'increase', 7, 'Usage', 'Promo weekend');
+    parser.updateItemStatus('11267', 'accept');
+    assert.strictEqual(parser.items[0].comment, 'Promo weekend');
+
+    parser.updateItemStatus('11267', 'increase', 7, 'Usage', '');
+    assert.strictEqual(parser.items[0].comment, '');
+});
+
+test('getStats totals the cartons added and removed', () => {
+    const parser = new PDFParser();
+    parser.items = parser.parseTextLines([
+        '11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated',
+        '77881 CUP SD 12 5 6 48 1 1 0 Dry'
+    ]);
+
+    parser.updateItemStatus('11267', 'increase', 7, 'Usage');
+    parser.updateItemStatus('77881', 'decrease', 8, 'Shelf Life');
+    const stats = parser.getStats();
+    assert.strictEqual(stats.cartonsAdded, 3);
+    assert.strictEqual(stats.cartonsRemoved, 2);
+
+    // Choosing increase before the count is entered leaves the proposal untouched
+    parser.updateItemStatus('77881', 'increase', null, 'Usage');
+    assert.strictEqual(parser.items[1].adjustedQty, 12);
+    assert.strictEqual(parser.getStats().cartonsRemoved, 0);
+});
+
+test('items under an Ops Supplies heading or on the WRIN list are Ops Supplies', () => {
+    const lines = [
+        '11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated',
+        'OPS SUPPLIES',
+        '90210 SANITISER 5L 2 1 3 0 1 1 0 Dry',
+        'PAPER',
+        '77881 CUP SD 12 5 6 48 1 1 0 Dry'
+    ];
+
+    const parser = new PDFParser();
+    const items = parser.parseTextLines(lines);
+    assert.deepStrictEqual(items.map(i => [i.wrin, i.section, i.opsSupply]), [
+        ['11267', null, false],
+        ['90210', 'OPS SUPPLIES', true],
+        ['77881', 'PAPER', false]
+    ]);
+
+    const listed = new PDFParser({ opsSupplyWrins: ['077881'] }).parseTextLines(lines);
+    assert.strictEqual(listed[2].opsSupply, true);
+
+    // Leading zeros are the only difference allowed
+    const junk = new PDFParser({ opsSupplyWrins: ['77881abc'] }).parseTextLines(lines);
+    assert.strictEqual(junk[2].opsSupply, false);
+});
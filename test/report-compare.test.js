@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PDFParser } = require('../lib/pdf-parser');
+const { compareReports } = require('../lib/report-compare');
+
+function parse(lines) {
+    const parser = new PDFParser();
+    parser.items = parser.parseTextLines(lines);
+    return parser;
+}
+
+test('compareReports flags new, removed and changed items by WRIN', () => {
+    const previous = parse([
+        '11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated',
+        '77881 CUP SD 12 5 6 48 1 1 0 Dry',
+        '05512 NUGGETS 10PC 3 8 2 20 1 1 0 Frozen'
+    ]);
+    previous.updateItemStatus('11267', 'increase', 7, 'Usage', 'Promo weekend');
+
+    const current = parse([
+        '11267 SHAKE MIX 10L 6 6 8 2 1 1 0 Refrigerated',
+        '5512 NUGGETS 10PC 3 8 2 20 1 1 0 Frozen',
+        '90001 LID SD 2 5 0 50 1 1 0 Dry'
+    ]);
+
+    const result = compareReports(current.items, previous.items);
+
+    assert.deepStrictEqual(result.summary, { new: 1, changed: 1, unchanged: 1, removed: 1 });
+    assert.strictEqual(result.items['90001'].change, 'new');
+    assert.strictEqual(result.items['5512'].change, 'unchanged');
+    assert.strictEqual(result.removed[0].wrin, '77881');
+
+    const shake = result.items['11267'];
+    assert.deepStrictEqual(shake.fields.map(f => [f.label, f.from, f.to]), [['Proposed', 4, 6], ['RSP', 10, 8]]);
+    assert.strictEqual(shake.previous.status, 'increase');
+    assert.strictEqual(shake.previous.reason, 'Usage');
+    assert.strictEqual(shake.previous.comment, 'Promo weekend');
+});
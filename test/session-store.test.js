@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SessionStore } = require('../lib/session-store');
+
+test('sessions are keyed by store and report date', () => {
+    assert.strictEqual(SessionStore.sessionKey({ storeNumber: '1234', storeName: 'Ringwood', reportDate: '12/03/2024' }), '1234|12/03/2024');
+    assert.strictEqual(SessionStore.sessionKey({ storeName: 'Ringwood', reportDate: '12/03/2024' }), 'Ringwood|12/03/2024');
+    assert.strictEqual(SessionStore.sessionKey(null), 'unknown-store|undated');
+});
+
+test('reports missing their store or date fall back to a unique key', () => {
+    const fallback = 'report.pdf@1710000000000';
+    assert.strictEqual(SessionStore.sessionKey(null, fallback), 'unknown-store|undated|report.pdf@1710000000000');
+    assert.strictEqual(SessionStore.sessionKey({ storeNumber: '1234' }, fallback), '1234|undated|report.pdf@1710000000000');
+    assert.strictEqual(SessionStore.sessionKey({ storeNumber: '1234', reportDate: '12/03/2024' }, fallback), '1234|12/03/2024');
+});
+
+test('duplicates get the next free copy number', () => {
+    assert.strictEqual(SessionStore.duplicateKey('1234|12/03/2024', ['1234|12/03/2024']), '1234|12/03/2024#2');
+    assert.strictEqual(SessionStore.duplicateKey('1234|12/03/2024#2', ['1234|12/03/2024', '1234|12/03/2024#2']), '1234|12/03/2024#3');
+});
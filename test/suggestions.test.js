@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PDFParser } = require('../lib/pdf-parser');
+const { suggestAdjustments, parseReportDate } = require('../lib/suggestions');
+
+// One line per report: proposed, units/case, RSP, transit for a single WRIN
+function report(reportDate, proposed, rsp, transit) {
+    const parser = new PDFParser();
+    parser.items = parser.parseTextLines([`11267 SHAKE MIX 10L ${proposed} 6 ${rsp} ${transit} 1 1 0 Refrigerated`]);
+    return { reportDate, items: parser.items };
+}
+
+test('report dates are read day first', () => {
+    assert.strictEqual(parseReportDate('12/05/2025'), Date.UTC(2025, 4, 12));
+    assert.strictEqual(parseReportDate('2025-05-12'), Date.UTC(2025, 4, 12));
+    assert.strictEqual(parseReportDate('soon'), null);
+});
+
+test('steady usage above the proposal suggests an increase', () => {
+    // 10 on hand + 14 ordered each week, ending on 10 again: 14 a week, 2 a day
+    const history = [
+        report('01/05/2025', 14, 10, 0),
+        report('08/05/2025', 14, 10, 0),
+        report('15/05/2025', 14, 10, 0)
+    ];
+    // Nothing proposed this week, so the 10 on hand falls short of the 14 needed
+    const current = report('22/05/2025', 0, 10, 0);
+
+    const suggestion = suggestAdjustments(current.items, current.reportDate, history)['11267'];
+    assert.strictEqual(suggestion.action, 'increase');
+    assert.strictEqual(suggestion.confidence, 'high');
+    assert.strictEqual(suggestion.dailyUsage, 2);
+    assert.strictEqual(suggestion.suggestedQty, 4);
+});
+
+test('a proposal covering the usage gets no suggestion, one well over it a decrease', () => {
+    const history = [report('01/05/2025', 14, 10, 0)];
+
+    const covered = report('08/05/2025', 4, 10, 0);
+    assert.deepStrictEqual(suggestAdjustments(covered.items, covered.reportDate, history), {});
+
+    const over = report('08/05/2025', 40, 10, 0);
+    const suggestion = suggestAdjustments(over.items, over.reportDate, history)['11267'];
+    assert.strictEqual(suggestion.action, 'decrease');
+    assert.strictEqual(suggestion.confidence, 'low');
+});
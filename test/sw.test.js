@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { APP_SHELL } = require('../sw');
+
+const ROOT = path.join(__dirname, '..');
+
+test('the offline cache covers every local file index.html loads', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const references = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+        .map(m => m[1])
+        .filter(url => !/^(https?:|#|mailto:)/.test(url));
+
+    assert.ok(references.length > 0);
+    references.forEach(url => assert.ok(APP_SHELL.includes(url), `${url} is not cached by sw.js`));
+});
+
+test('every cached file exists', () => {
+    APP_SHELL.filter(url => url !== './').forEach(url => {
+        assert.ok(fs.existsSync(path.join(ROOT, url.split('?')[0])), `${url} is missing`);
+    });
+});
+
+test('the pdf.js worker is served locally', () => {
+    const app = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+    const workerSrc = app.match(/workerSrc = '([^']+)'/)[1];
+
+    assert.ok(APP_SHELL.includes(workerSrc));
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PDFParser } = require('../lib/pdf-parser');
+const { validateItem, validateItems } = require('../lib/validation');
+
+function parse(lines) {
+    const parser = new PDFParser();
+    parser.items = parser.parseTextLines(lines);
+    return parser;
+}
+
+const rulesHit = (item, options) => validateItem(item, undefined, options).map(i => `${i.level}:${i.rule}`);
+
+test('adjusted items need a stock count and a reason', () => {
+    const parser = parse(['11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated']);
+    parser.updateItemStatus('11267', 'increase', null, '');
+
+    assert.deepStrictEqual(rulesHit(parser.items[0]), ['error:missing-stock', 'error:missing-reason']);
+});
+
+test('warnings flag unlikely counts and reasons without blocking', () => {
+    const parser = parse([
+        '11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated',
+        '05512 NUGGETS 10PC 3 8 2 20 1 1 0 Frozen',
+        '05513 NUGGETS 20PC 3 8 2 20 0 1 0 Frozen'
+    ]);
+    parser.updateItemStatus('11267', 'decrease', 24, 'Manual Items');
+    parser.updateItemStatus('05512', 'decrease', 6, 'Shelf Life');
+    parser.updateItemStatus('05513', 'decrease', 6, 'Shelf Life');
+
+    assert.deepStrictEqual(rulesHit(parser.items[0]), ['warning:stock-over-proposal', 'warning:manual-reason-mismatch']);
+    assert.deepStrictEqual(rulesHit(parser.items[1]), ['warning:frozen-order-cancelled']);
+
+    // Nothing forecast, so cancelling the order is expected
+    assert.deepStrictEqual(rulesHit(parser.items[2]), []);
+
+    const result = validateItems(parser.items);
+    assert.strictEqual(result.errors.length, 0);
+    assert.strictEqual(result.warnings.length, 3);
+});
+
+test('stock must be positive, and whole for cases of one', () => {
+    const parser = parse([
+        '11267 SHAKE MIX 10L 4 1 10 2 1 1 0 Refrigerated',
+        '77881 CUP SD 12 5 6 48 1 1 0 Dry'
+    ]);
+    parser.updateItemStatus('11267', 'increase', 2.5, 'Usage');
+    parser.updateItemStatus('77881', 'increase', -1, 'Usage');
+
+    assert.deepStrictEqual(rulesHit(parser.items[0]), ['error:fractional-stock']);
+    assert.deepStrictEqual(rulesHit(parser.items[1]), ['error:negative-stock']);
+});
+
+test('reasons the template no longer offers are errors straight away', () => {
+    const parser = parse(['11267 SHAKE MIX 10L 4 6 10 2 1 1 0 Refrigerated']);
+    parser.updateItemStatus('11267', 'increase', 7, 'Promotion');
+
+    const [issue] = validateItem(parser.items[0], undefined, { allowedReasons: ['Usage', 'Shelf Life'] });
+    assert.strictEqual(issue.rule, 'reason-not-allowed');
+    assert.strictEqual(issue.deferred, false);
+});